@@ -0,0 +1,185 @@
+/**
+ * Backend API Client
+ * Authenticated requests to the Express API in backend/server.js
+ */
+
+import { supabase, getSession } from './supabase-client.js';
+
+export const API_BASE_URL = 'http://localhost:3001/api';
+
+// Refresh wallet access tokens this long before they expire
+const WALLET_TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+let walletRefreshInFlight = null;
+
+export async function getAccessToken() {
+  const { session } = await getSession();
+
+  if (session) {
+    return session.access_token;
+  }
+
+  const token = localStorage.getItem('web3_auth_token');
+
+  if (token && walletTokenExpiresSoon(token)) {
+    return refreshWalletToken();
+  }
+
+  return token;
+}
+
+export function storeWalletTokens({ token, refreshToken, walletAddress, userId }) {
+  localStorage.setItem('web3_auth_token', token);
+  localStorage.setItem('web3_refresh_token', refreshToken);
+  if (walletAddress) localStorage.setItem('web3_wallet_address', walletAddress);
+  if (userId) localStorage.setItem('web3_user_id', userId);
+}
+
+export function clearWalletTokens() {
+  localStorage.removeItem('web3_auth_token');
+  localStorage.removeItem('web3_refresh_token');
+  localStorage.removeItem('web3_wallet_address');
+  localStorage.removeItem('web3_user_id');
+}
+
+function walletTokenExpiresSoon(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 - Date.now() < WALLET_TOKEN_REFRESH_MARGIN_MS;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Rotates the wallet refresh token for a new access token. Concurrent callers share one
+ * request, since presenting the same refresh token twice revokes the session.
+ * Returns the new access token, or null (and clears the wallet tokens) if the session has ended.
+ */
+export function refreshWalletToken() {
+  if (!walletRefreshInFlight) {
+    walletRefreshInFlight = requestWalletRefresh().finally(() => {
+      walletRefreshInFlight = null;
+    });
+  }
+
+  return walletRefreshInFlight;
+}
+
+async function requestWalletRefresh() {
+  const refreshToken = localStorage.getItem('web3_refresh_token');
+
+  if (!refreshToken) {
+    clearWalletTokens();
+    return null;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.error('Wallet token refresh error:', data.error);
+      clearWalletTokens();
+      return null;
+    }
+
+    storeWalletTokens(data);
+    return data.token;
+  } catch (error) {
+    // Network failure: keep the tokens so a later call can retry
+    console.error('Wallet token refresh error:', error);
+    return null;
+  }
+}
+
+/**
+ * Revokes the current wallet session on the server and clears the stored tokens
+ */
+export async function logoutWalletSession() {
+  const refreshToken = localStorage.getItem('web3_refresh_token');
+
+  clearWalletTokens();
+
+  if (!refreshToken) return { error: null };
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Logout failed');
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error('Wallet logout error:', error);
+    return { error };
+  }
+}
+
+/**
+ * Revokes every wallet session and Supabase session of the current user
+ */
+export async function logoutAllDevices() {
+  try {
+    await apiRequest('/auth/logout-all', { method: 'POST' });
+
+    clearWalletTokens();
+
+    const { error } = await supabase.auth.signOut({ scope: 'global' });
+    if (error) throw error;
+
+    return { error: null };
+  } catch (error) {
+    console.error('Logout all devices error:', error);
+    return { error };
+  }
+}
+
+export async function apiRequest(path, { method = 'GET', body, query } = {}) {
+  const token = await getAccessToken();
+
+  if (!token) {
+    throw new Error('No user logged in');
+  }
+
+  const url = new URL(`${API_BASE_URL}${path}`);
+
+  if (query) {
+    Object.entries(query).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (Array.isArray(value) && value.length === 0) return;
+      url.searchParams.set(key, Array.isArray(value) ? value.join(',') : value);
+    });
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Request failed');
+    error.status = response.status;
+    error.fields = data.fields || null;
+    throw error;
+  }
+
+  return data;
+}
@@ -4,78 +4,34 @@
  */
 
 import { supabase, getCurrentUser, getSession } from './supabase-client.js';
+import { API_BASE_URL, apiRequest, logoutWalletSession } from './api-client.js';
 
+/**
+ * Creates an email account through the backend, which validates the form and creates the
+ * profile and partner preferences together. userData uses the signup form's field names
+ * (firstName, dateOfBirth, minAge, interestedIn, ...). The user can sign in once they
+ * have confirmed their email.
+ * Returns { data: { userId, confirmationRequired }, error }. Validation failures
+ * have error.fields: [{ field, message }] naming the form fields at fault.
+ */
 export async function signUp(email, password, userData) {
   try {
-    const { data: authData, error: signUpError } = await supabase.auth.signUp({
-      email: email,
-      password: password,
-      options: {
-        data: {
-          first_name: userData.firstName,
-          last_name: userData.lastName
-        }
-      }
+    const response = await fetch(`${API_BASE_URL}/auth/signup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...userData, email, password })
     });
 
-    if (signUpError) throw signUpError;
-
-    if (authData.user) {
-      const profileData = {
-        id: authData.user.id,
-        email: email,
-        first_name: userData.firstName,
-        last_name: userData.lastName,
-        phone: userData.phone,
-        date_of_birth: userData.dateOfBirth,
-        gender: userData.gender,
-        city: userData.city,
-        state: userData.state,
-        country: userData.country || 'India',
-        religion: userData.religion,
-        caste: userData.caste,
-        mother_tongue: userData.motherTongue,
-        education: userData.education,
-        occupation: userData.occupation,
-        company: userData.company,
-        income: userData.income,
-        height: userData.height,
-        body_type: userData.bodyType,
-        complexion: userData.complexion,
-        marital_status: userData.maritalStatus,
-        smoking_habits: userData.smokingHabits,
-        drinking_habits: userData.drinkingHabits,
-        dietary_preferences: userData.dietaryPreferences,
-        pet_preference: userData.petPreference,
-        about_me: userData.aboutMe,
-        looking_for: userData.lookingFor,
-        family_values: userData.familyValues,
-        interests: userData.interests || [],
-        profile_visibility: userData.profileVisibility || 'public',
-        contact_preference: userData.contactPreference || 'anyone',
-        email_notifications: userData.emailNotifications !== false,
-        profile_completion: calculateProfileCompletion(userData)
-      };
-
-      const { error: profileError } = await supabase
-        .from('profiles')
-        .insert([profileData]);
-
-      if (profileError) throw profileError;
-
-      if (userData.partnerPreferences) {
-        const { error: prefError } = await supabase
-          .from('partner_preferences')
-          .insert([{
-            user_id: authData.user.id,
-            ...userData.partnerPreferences
-          }]);
-
-        if (prefError) console.error('Error saving preferences:', prefError);
-      }
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(data.error || 'Signup failed');
+      error.status = response.status;
+      error.fields = data.fields || null;
+      throw error;
     }
 
-    return { data: authData, error: null };
+    return { data, error: null };
   } catch (error) {
     console.error('Sign up error:', error);
     return { data: null, error };
@@ -100,6 +56,8 @@ export async function signIn(email, password) {
 
 export async function signOut() {
   try {
+    await logoutWalletSession();
+
     const { error } = await supabase.auth.signOut();
     if (error) throw error;
 
@@ -113,13 +71,26 @@ export async function signOut() {
   }
 }
 
+// Sent through the backend, which rate limits reset emails per IP and per address
 export async function resetPassword(email) {
   try {
-    const { data, error } = await supabase.auth.resetPasswordForEmail(email, {
-      redirectTo: `${window.location.origin}/reset-password.html`
+    const response = await fetch(`${API_BASE_URL}/auth/password-reset`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email,
+        redirectTo: `${window.location.origin}/reset-password.html`
+      })
     });
 
-    if (error) throw error;
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(data.error || 'Failed to send reset email');
+      error.status = response.status;
+      throw error;
+    }
+
     return { data, error: null };
   } catch (error) {
     console.error('Reset password error:', error);
@@ -141,6 +112,58 @@ export async function updatePassword(newPassword) {
   }
 }
 
+/**
+ * The signed-in account's logins: { email, wallets }. email is null for wallet-only accounts.
+ */
+export async function getLinkedLogins() {
+  try {
+    const data = await apiRequest('/account/logins');
+    return { data, error: null };
+  } catch (error) {
+    console.error('Get linked logins error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Adds an email and password login to a wallet account. The password works at once; the
+ * email takes effect when the user follows the confirmation link sent to it. An email
+ * that already has an account fails with error.code `email_exists`; merge that account
+ * instead (mergeAccountWithEmail).
+ */
+export async function addEmailLogin(email, password) {
+  try {
+    const { data, error } = await supabase.auth.updateUser(
+      { email, password },
+      { emailRedirectTo: `${window.location.origin}/loginpage.html` }
+    );
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Add email login error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Merges the account with this email and password into the signed-in account, which is
+ * kept. keepProfile: 'current' (default) or 'merged' to use the other account's profile.
+ * Returns { data: { email, wallets }, error }
+ */
+export async function mergeAccountWithEmail(email, password, { keepProfile = 'current' } = {}) {
+  try {
+    const data = await apiRequest('/account/merge', {
+      method: 'POST',
+      body: { email, password, keepProfile }
+    });
+    return { data, error: null };
+  } catch (error) {
+    console.error('Merge account error:', error);
+    return { data: null, error };
+  }
+}
+
 export async function checkAuth() {
   const { session } = await getSession();
 
@@ -187,13 +210,3 @@ export async function getUserProfile() {
     return { data: null, error };
   }
 }
-
-function calculateProfileCompletion(userData) {
-  const fields = [
-    'firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'gender',
-    'city', 'state', 'education', 'occupation', 'maritalStatus', 'aboutMe'
-  ];
-
-  const filledFields = fields.filter(field => userData[field] && userData[field].trim() !== '').length;
-  return Math.round((filledFields / fields.length) * 100);
-}
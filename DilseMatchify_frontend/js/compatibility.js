@@ -0,0 +1,323 @@
+/**
+ * Compatibility Scoring Module
+ * Pure scoring and preference logic shared by the browser and the backend API.
+ * Must not import anything environment-specific.
+ */
+
+import { resolveLocation, resolveState, canonicalCityName, normalizePlaceName, hasCoordinates, distanceKm } from './gazetteer.js';
+
+export const EDUCATION_LEVELS = ['high-school', 'diploma', 'bachelors', 'masters', 'phd', 'professional'];
+
+export const GENDER_IDENTITIES = ['male', 'female', 'non-binary', 'other'];
+
+export const PREFERENCE_KEYS = ['age', 'height', 'education', 'religion', 'location', 'distance', 'marital_status'];
+export const DEFAULT_STRICT_PREFERENCES = ['religion', 'location'];
+
+// A preferred city also accepts candidates within this radius of it
+export const LOCATION_RADIUS_KM = 50;
+// Beyond the accepted radius the location score falls to zero over this distance
+const PROXIMITY_FALLOFF_KM = 500;
+
+export const DIMENSION_WEIGHTS = {
+  religion: 20,
+  education: 15,
+  location: 15,
+  interests: 20,
+  diet: 10,
+  age: 20,
+  height: 10,
+  marital_status: 10
+};
+
+export function toGenderIdentity(gender) {
+  if (!gender) return null;
+  return GENDER_IDENTITIES.includes(gender) ? gender : 'other';
+}
+
+/**
+ * Default "interested in" for users who have not chosen: the opposite binary gender,
+ * which is what discovery assumed before, and everyone for other identities.
+ */
+export function defaultInterestedIn(genderIdentity) {
+  if (genderIdentity === 'male') return ['female'];
+  if (genderIdentity === 'female') return ['male'];
+  return [...GENDER_IDENTITIES];
+}
+
+export function isStrictPreference(prefs, key) {
+  if (!prefs) return false;
+  return (prefs.strict_preferences || DEFAULT_STRICT_PREFERENCES).includes(key);
+}
+
+/**
+ * Checks a candidate against every preference the user has set.
+ * Returns the preference keys the candidate meets and misses; unset preferences are omitted.
+ */
+export function evaluatePreferences(profile, candidate) {
+  const prefs = profile.partner_preferences;
+  const met = [];
+  const missed = [];
+
+  if (!prefs) return { met, missed };
+
+  const checks = {};
+
+  if (prefs.min_age || prefs.max_age) {
+    checks.age = () => {
+      if (!candidate.date_of_birth) return false;
+      const age = calculateAge(candidate.date_of_birth);
+      return (!prefs.min_age || age >= prefs.min_age) && (!prefs.max_age || age <= prefs.max_age);
+    };
+  }
+
+  if (prefs.preferred_height) {
+    checks.height = () => candidate.height === prefs.preferred_height;
+  }
+
+  if (EDUCATION_LEVELS.includes(prefs.preferred_education)) {
+    checks.education = () =>
+      EDUCATION_LEVELS.indexOf(candidate.education) >= EDUCATION_LEVELS.indexOf(prefs.preferred_education);
+  }
+
+  if (prefs.preferred_religion) {
+    const wantedReligion = prefs.preferred_religion === 'same' ? profile.religion : prefs.preferred_religion;
+    checks.religion = () => !!candidate.religion && candidate.religion === wantedReligion;
+  }
+
+  if (hasPreferredLocation(prefs)) {
+    checks.location = () => matchesPreferredLocation(prefs.preferred_location, candidate);
+  }
+
+  if (prefs.max_distance_km) {
+    checks.distance = () =>
+      hasCoordinates(profile) && hasCoordinates(candidate) &&
+      distanceKm(profile, candidate) <= prefs.max_distance_km;
+  }
+
+  if (prefs.preferred_marital_status && prefs.preferred_marital_status !== 'any') {
+    checks.marital_status = () => candidate.marital_status === prefs.preferred_marital_status;
+  }
+
+  PREFERENCE_KEYS.forEach(key => {
+    if (!checks[key]) return;
+    (checks[key]() ? met : missed).push(key);
+  });
+
+  return { met, missed };
+}
+
+/**
+ * Reciprocal compatibility: the geometric mean of how well profile2 fits profile1's
+ * preferences and how well profile1 fits profile2's. A candidate who would not want
+ * me back cannot rank high just because they suit me.
+ *
+ * Returns { score, breakdown } where breakdown maps each dimension (religion, education,
+ * location, interests, diet, age, height, marital_status) to { score, mine, theirs, weight };
+ * `mine` and `theirs` are the one-directional scores, null when that side has no data.
+ */
+export function calculateCompatibility(profile1, profile2) {
+  const forward = scoreDirection(profile1, profile2);
+  const reverse = scoreDirection(profile2, profile1);
+
+  const breakdown = {};
+
+  Object.keys(DIMENSION_WEIGHTS).forEach(dimension => {
+    const mine = forward.dimensions[dimension];
+    const theirs = reverse.dimensions[dimension];
+
+    if (mine === undefined && theirs === undefined) return;
+
+    const combined = mine !== undefined && theirs !== undefined
+      ? Math.sqrt(mine * theirs)
+      : (mine !== undefined ? mine : theirs);
+
+    breakdown[dimension] = {
+      score: Math.round(combined * 100),
+      mine: mine !== undefined ? Math.round(mine * 100) : null,
+      theirs: theirs !== undefined ? Math.round(theirs * 100) : null,
+      weight: DIMENSION_WEIGHTS[dimension]
+    };
+  });
+
+  return {
+    score: Math.round(Math.sqrt(forward.score * reverse.score)),
+    breakdown
+  };
+}
+
+/**
+ * Scores how well `candidate` fits `seeker`, using the seeker's partner preferences
+ * where set and profile similarity otherwise. Dimension values are 0..1.
+ */
+function scoreDirection(seeker, candidate) {
+  const prefs = seeker.partner_preferences || {};
+  const dimensions = {};
+
+  const wantedReligion = prefs.preferred_religion === 'same'
+    ? seeker.religion
+    : (prefs.preferred_religion || seeker.religion);
+
+  if (wantedReligion && candidate.religion) {
+    dimensions.religion = wantedReligion === candidate.religion ? 1 : 0;
+  }
+
+  const candidateEducation = EDUCATION_LEVELS.indexOf(candidate.education);
+  const preferredEducation = EDUCATION_LEVELS.indexOf(prefs.preferred_education);
+  const seekerEducation = EDUCATION_LEVELS.indexOf(seeker.education);
+
+  if (candidateEducation !== -1 && preferredEducation !== -1) {
+    dimensions.education = candidateEducation >= preferredEducation
+      ? 1
+      : Math.max(0, 1 - (preferredEducation - candidateEducation) * 0.2);
+  } else if (candidateEducation !== -1 && seekerEducation !== -1) {
+    dimensions.education = Math.max(0, 1 - Math.abs(seekerEducation - candidateEducation) * 0.2);
+  }
+
+  const location = scoreLocation(seeker, candidate);
+
+  if (location !== undefined) {
+    dimensions.location = location;
+  }
+
+  if (Array.isArray(seeker.interests) && Array.isArray(candidate.interests)) {
+    const commonInterests = seeker.interests.filter(interest =>
+      candidate.interests.includes(interest)
+    );
+    dimensions.interests = Math.min(1, commonInterests.length / 5);
+  }
+
+  if (seeker.dietary_preferences && candidate.dietary_preferences) {
+    dimensions.diet = seeker.dietary_preferences === candidate.dietary_preferences ? 1 : 0;
+  }
+
+  if ((prefs.min_age || prefs.max_age) && candidate.date_of_birth) {
+    const age = calculateAge(candidate.date_of_birth);
+    dimensions.age = (!prefs.min_age || age >= prefs.min_age) && (!prefs.max_age || age <= prefs.max_age) ? 1 : 0;
+  }
+
+  if (prefs.preferred_height && candidate.height) {
+    dimensions.height = prefs.preferred_height === candidate.height ? 1 : 0;
+  }
+
+  if (prefs.preferred_marital_status && prefs.preferred_marital_status !== 'any' && candidate.marital_status) {
+    dimensions.marital_status = prefs.preferred_marital_status === candidate.marital_status ? 1 : 0;
+  }
+
+  let score = 0;
+  let maxScore = 0;
+
+  Object.entries(dimensions).forEach(([dimension, value]) => {
+    maxScore += DIMENSION_WEIGHTS[dimension];
+    score += value * DIMENSION_WEIGHTS[dimension];
+  });
+
+  return {
+    score: maxScore > 0 ? Math.round((score / maxScore) * 100) : 50,
+    dimensions
+  };
+}
+
+/**
+ * Location fit of `candidate` for `seeker`, 0..1, or undefined when there is nothing to compare.
+ * Distances come from gazetteer coordinates; text comparison is the fallback for places
+ * the gazetteer does not know.
+ */
+function scoreLocation(seeker, candidate) {
+  const prefs = seeker.partner_preferences || {};
+  const bothLocated = hasCoordinates(seeker) && hasCoordinates(candidate);
+
+  if (prefs.max_distance_km && bothLocated) {
+    return proximityScore(distanceKm(seeker, candidate), prefs.max_distance_km);
+  }
+
+  if (hasPreferredLocation(prefs) && (candidate.city || candidate.state)) {
+    if (matchesPreferredLocation(prefs.preferred_location, candidate)) return 1;
+
+    const preferred = resolveLocation(prefs.preferred_location, null);
+    return preferred && preferred.precision === 'city' && hasCoordinates(candidate)
+      ? proximityScore(distanceKm(preferred, candidate), LOCATION_RADIUS_KM)
+      : 0;
+  }
+
+  if (bothLocated) {
+    return proximityScore(distanceKm(seeker, candidate), LOCATION_RADIUS_KM);
+  }
+
+  if (seeker.city && candidate.city) {
+    if (sameCity(seeker.city, candidate.city)) return 1;
+
+    const seekerState = resolveState(seeker.state) || normalizePlaceName(seeker.state);
+    const candidateState = resolveState(candidate.state) || normalizePlaceName(candidate.state);
+    return seekerState && seekerState === candidateState ? 7 / 15 : 0;
+  }
+
+  return undefined;
+}
+
+/**
+ * Whether the preferences name a place. A preferred location with no letters or digits
+ * (e.g. "-") is no preference, so it is neither scored nor applied as a strict filter.
+ */
+export function hasPreferredLocation(prefs) {
+  return !!prefs && normalizePlaceName(prefs.preferred_location) !== '';
+}
+
+/**
+ * Whether a candidate is in the place named by a free-text preferred location.
+ * A known city matches anyone within LOCATION_RADIUS_KM of it, a known state matches
+ * anyone in that state, and anything else falls back to a text match on city/state.
+ * Everyone matches a location that names no place (see hasPreferredLocation).
+ */
+export function matchesPreferredLocation(preferredLocation, candidate) {
+  const wanted = normalizePlaceName(preferredLocation);
+
+  if (!wanted) return true;
+
+  const preferred = resolveLocation(preferredLocation, null);
+
+  if (preferred && preferred.precision === 'city' && hasCoordinates(candidate)) {
+    return distanceKm(preferred, candidate) <= LOCATION_RADIUS_KM;
+  }
+
+  if (preferred && preferred.precision === 'state') {
+    const candidateLocation = resolveLocation(candidate.city, candidate.state);
+    if (candidateLocation) return candidateLocation.state === preferred.state;
+  }
+
+  return sameCity(preferredLocation, candidate.city) ||
+    [candidate.city, candidate.state].some(value => value && normalizePlaceName(value).includes(wanted));
+}
+
+function sameCity(a, b) {
+  if (!a || !b) return false;
+  const canonicalA = canonicalCityName(a) || normalizePlaceName(a);
+  const canonicalB = canonicalCityName(b) || normalizePlaceName(b);
+  return canonicalA === canonicalB;
+}
+
+/**
+ * 1 within radiusKm, then falling linearly to 0 over PROXIMITY_FALLOFF_KM.
+ */
+function proximityScore(distance, radiusKm) {
+  if (distance <= radiusKm) return 1;
+  return Math.max(0, 1 - (distance - radiusKm) / PROXIMITY_FALLOFF_KM);
+}
+
+export function calculateAge(dateOfBirth) {
+  const today = new Date();
+  const birthDate = new Date(dateOfBirth);
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+    age--;
+  }
+
+  return age;
+}
+
+export function dateYearsAgo(years) {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  return date.toISOString().split('T')[0];
+}
@@ -0,0 +1,258 @@
+/**
+ * City Gazetteer Module
+ * Offline lookup from the free-text city/state on a profile to coordinates.
+ * Shared by the browser and the backend API; must not import anything environment-specific.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// State and union territory slugs as used by the signup form, with approximate centroids.
+const STATES = {
+  'andhra-pradesh': { name: 'Andhra Pradesh', latitude: 15.9129, longitude: 79.74 },
+  'arunachal-pradesh': { name: 'Arunachal Pradesh', latitude: 28.218, longitude: 94.7278 },
+  'assam': { name: 'Assam', latitude: 26.2006, longitude: 92.9376 },
+  'bihar': { name: 'Bihar', latitude: 25.0961, longitude: 85.3131 },
+  'chhattisgarh': { name: 'Chhattisgarh', latitude: 21.2787, longitude: 81.8661 },
+  'goa': { name: 'Goa', latitude: 15.2993, longitude: 74.124 },
+  'gujarat': { name: 'Gujarat', latitude: 22.2587, longitude: 71.1924 },
+  'haryana': { name: 'Haryana', latitude: 29.0588, longitude: 76.0856 },
+  'himachal-pradesh': { name: 'Himachal Pradesh', latitude: 31.1048, longitude: 77.1734 },
+  'jharkhand': { name: 'Jharkhand', latitude: 23.6102, longitude: 85.2799 },
+  'karnataka': { name: 'Karnataka', latitude: 15.3173, longitude: 75.7139 },
+  'kerala': { name: 'Kerala', latitude: 10.8505, longitude: 76.2711 },
+  'madhya-pradesh': { name: 'Madhya Pradesh', latitude: 22.9734, longitude: 78.6569 },
+  'maharashtra': { name: 'Maharashtra', latitude: 19.7515, longitude: 75.7139 },
+  'manipur': { name: 'Manipur', latitude: 24.6637, longitude: 93.9063 },
+  'meghalaya': { name: 'Meghalaya', latitude: 25.467, longitude: 91.3662 },
+  'mizoram': { name: 'Mizoram', latitude: 23.1645, longitude: 92.9376 },
+  'nagaland': { name: 'Nagaland', latitude: 26.1584, longitude: 94.5624 },
+  'odisha': { name: 'Odisha', latitude: 20.9517, longitude: 85.0985, aliases: ['orissa'] },
+  'punjab': { name: 'Punjab', latitude: 31.1471, longitude: 75.3412 },
+  'rajasthan': { name: 'Rajasthan', latitude: 27.0238, longitude: 74.2179 },
+  'sikkim': { name: 'Sikkim', latitude: 27.533, longitude: 88.5122 },
+  'tamil-nadu': { name: 'Tamil Nadu', latitude: 11.1271, longitude: 78.6569 },
+  'telangana': { name: 'Telangana', latitude: 18.1124, longitude: 79.0193 },
+  'tripura': { name: 'Tripura', latitude: 23.9408, longitude: 91.9882 },
+  'uttar-pradesh': { name: 'Uttar Pradesh', latitude: 26.8467, longitude: 80.9462 },
+  'uttarakhand': { name: 'Uttarakhand', latitude: 30.0668, longitude: 79.0193, aliases: ['uttaranchal'] },
+  'west-bengal': { name: 'West Bengal', latitude: 22.9868, longitude: 87.855 },
+  'andaman-nicobar': { name: 'Andaman and Nicobar Islands', latitude: 11.7401, longitude: 92.6586 },
+  'chandigarh': { name: 'Chandigarh', latitude: 30.7333, longitude: 76.7794 },
+  'dadra-nagar-haveli': { name: 'Dadra and Nagar Haveli and Daman and Diu', latitude: 20.3974, longitude: 72.8328 },
+  'delhi': { name: 'Delhi', latitude: 28.7041, longitude: 77.1025, aliases: ['nct of delhi', 'new delhi'] },
+  'jammu-kashmir': { name: 'Jammu and Kashmir', latitude: 33.7782, longitude: 76.5762 },
+  'ladakh': { name: 'Ladakh', latitude: 34.2268, longitude: 77.5619 },
+  'lakshadweep': { name: 'Lakshadweep', latitude: 10.5667, longitude: 72.6417 },
+  'puducherry': { name: 'Puducherry', latitude: 11.9416, longitude: 79.8083, aliases: ['pondicherry'] }
+};
+
+// [name, state slug, latitude, longitude, aliases]
+const CITIES = [
+  ['Mumbai', 'maharashtra', 19.076, 72.8777, ['bombay']],
+  ['Navi Mumbai', 'maharashtra', 19.033, 73.0297, []],
+  ['Thane', 'maharashtra', 19.2183, 72.9781, []],
+  ['Pune', 'maharashtra', 18.5204, 73.8567, ['poona']],
+  ['Nagpur', 'maharashtra', 21.1458, 79.0882, []],
+  ['Nashik', 'maharashtra', 19.9975, 73.7898, ['nasik']],
+  ['Aurangabad', 'maharashtra', 19.8762, 75.3433, ['chhatrapati sambhajinagar']],
+  ['Delhi', 'delhi', 28.6139, 77.209, ['new delhi']],
+  ['Gurugram', 'haryana', 28.4595, 77.0266, ['gurgaon']],
+  ['Faridabad', 'haryana', 28.4089, 77.3178, []],
+  ['Noida', 'uttar-pradesh', 28.5355, 77.391, []],
+  ['Ghaziabad', 'uttar-pradesh', 28.6692, 77.4538, []],
+  ['Lucknow', 'uttar-pradesh', 26.8467, 80.9462, []],
+  ['Kanpur', 'uttar-pradesh', 26.4499, 80.3319, ['cawnpore']],
+  ['Varanasi', 'uttar-pradesh', 25.3176, 82.9739, ['benares', 'banaras']],
+  ['Agra', 'uttar-pradesh', 27.1767, 78.0081, []],
+  ['Prayagraj', 'uttar-pradesh', 25.4358, 81.8463, ['allahabad']],
+  ['Bengaluru', 'karnataka', 12.9716, 77.5946, ['bangalore']],
+  ['Mysuru', 'karnataka', 12.2958, 76.6394, ['mysore']],
+  ['Mangaluru', 'karnataka', 12.9141, 74.856, ['mangalore']],
+  ['Hubballi', 'karnataka', 15.3647, 75.124, ['hubli']],
+  ['Chennai', 'tamil-nadu', 13.0827, 80.2707, ['madras']],
+  ['Coimbatore', 'tamil-nadu', 11.0168, 76.9558, []],
+  ['Madurai', 'tamil-nadu', 9.9252, 78.1198, []],
+  ['Tiruchirappalli', 'tamil-nadu', 10.7905, 78.7047, ['trichy']],
+  ['Hyderabad', 'telangana', 17.385, 78.4867, ['secunderabad']],
+  ['Warangal', 'telangana', 17.9689, 79.5941, []],
+  ['Visakhapatnam', 'andhra-pradesh', 17.6868, 83.2185, ['vizag']],
+  ['Vijayawada', 'andhra-pradesh', 16.5062, 80.648, []],
+  ['Tirupati', 'andhra-pradesh', 13.6288, 79.4192, []],
+  ['Kolkata', 'west-bengal', 22.5726, 88.3639, ['calcutta']],
+  ['Howrah', 'west-bengal', 22.5958, 88.2636, []],
+  ['Siliguri', 'west-bengal', 26.7271, 88.3953, []],
+  ['Ahmedabad', 'gujarat', 23.0225, 72.5714, ['amdavad']],
+  ['Surat', 'gujarat', 21.1702, 72.8311, []],
+  ['Vadodara', 'gujarat', 22.3072, 73.1812, ['baroda']],
+  ['Rajkot', 'gujarat', 22.3039, 70.8022, []],
+  ['Gandhinagar', 'gujarat', 23.2156, 72.6369, []],
+  ['Jaipur', 'rajasthan', 26.9124, 75.7873, []],
+  ['Jodhpur', 'rajasthan', 26.2389, 73.0243, []],
+  ['Udaipur', 'rajasthan', 24.5854, 73.7125, []],
+  ['Kota', 'rajasthan', 25.2138, 75.8648, []],
+  ['Kochi', 'kerala', 9.9312, 76.2673, ['cochin', 'ernakulam']],
+  ['Thiruvananthapuram', 'kerala', 8.5241, 76.9366, ['trivandrum']],
+  ['Kozhikode', 'kerala', 11.2588, 75.7804, ['calicut']],
+  ['Thrissur', 'kerala', 10.5276, 76.2144, ['trichur']],
+  ['Bhopal', 'madhya-pradesh', 23.2599, 77.4126, []],
+  ['Indore', 'madhya-pradesh', 22.7196, 75.8577, []],
+  ['Gwalior', 'madhya-pradesh', 26.2183, 78.1828, []],
+  ['Jabalpur', 'madhya-pradesh', 23.1815, 79.9864, []],
+  ['Patna', 'bihar', 25.5941, 85.1376, []],
+  ['Gaya', 'bihar', 24.7914, 85.0002, []],
+  ['Ranchi', 'jharkhand', 23.3441, 85.3096, []],
+  ['Jamshedpur', 'jharkhand', 22.8046, 86.2029, []],
+  ['Bhubaneswar', 'odisha', 20.2961, 85.8245, []],
+  ['Cuttack', 'odisha', 20.4625, 85.8828, []],
+  ['Raipur', 'chhattisgarh', 21.2514, 81.6296, []],
+  ['Chandigarh', 'chandigarh', 30.7333, 76.7794, []],
+  ['Ludhiana', 'punjab', 30.901, 75.8573, []],
+  ['Amritsar', 'punjab', 31.634, 74.8723, []],
+  ['Jalandhar', 'punjab', 31.326, 75.5762, []],
+  ['Mohali', 'punjab', 30.7046, 76.7179, ['sahibzada ajit singh nagar']],
+  ['Dehradun', 'uttarakhand', 30.3165, 78.0322, []],
+  ['Shimla', 'himachal-pradesh', 31.1048, 77.1734, ['simla']],
+  ['Srinagar', 'jammu-kashmir', 34.0837, 74.7973, []],
+  ['Jammu', 'jammu-kashmir', 32.7266, 74.857, []],
+  ['Leh', 'ladakh', 34.1526, 77.5771, []],
+  ['Guwahati', 'assam', 26.1445, 91.7362, ['gauhati']],
+  ['Shillong', 'meghalaya', 25.5788, 91.8933, []],
+  ['Imphal', 'manipur', 24.817, 93.9368, []],
+  ['Aizawl', 'mizoram', 23.7271, 92.7176, []],
+  ['Kohima', 'nagaland', 25.6751, 94.1086, []],
+  ['Agartala', 'tripura', 23.8315, 91.2868, []],
+  ['Itanagar', 'arunachal-pradesh', 27.0844, 93.6053, []],
+  ['Gangtok', 'sikkim', 27.3389, 88.6065, []],
+  ['Panaji', 'goa', 15.4909, 73.8278, ['panjim']],
+  ['Margao', 'goa', 15.2832, 73.9862, ['madgaon']],
+  ['Puducherry', 'puducherry', 11.9416, 79.8083, ['pondicherry']],
+  ['Port Blair', 'andaman-nicobar', 11.6234, 92.7265, ['sri vijaya puram']],
+  ['Kavaratti', 'lakshadweep', 10.5626, 72.6369, []],
+  ['Silvassa', 'dadra-nagar-haveli', 20.2766, 73.0083, []],
+  ['Daman', 'dadra-nagar-haveli', 20.3974, 72.8328, []]
+];
+
+const citiesByName = new Map();
+const statesByName = new Map();
+
+Object.entries(STATES).forEach(([slug, state]) => {
+  [slug, state.name, ...(state.aliases || [])].forEach(name => statesByName.set(normalizePlaceName(name), slug));
+});
+
+CITIES.forEach(([name, state, latitude, longitude, aliases]) => {
+  const city = { name, state, latitude, longitude };
+  [name, ...aliases].forEach(alias => {
+    const key = normalizePlaceName(alias);
+    citiesByName.set(key, [...(citiesByName.get(key) || []), city]);
+  });
+});
+
+/**
+ * Lowercases and strips punctuation and separators so "Tamil Nadu", "tamil-nadu"
+ * and "Tamil Nadu." compare equal.
+ */
+export function normalizePlaceName(name) {
+  if (!name) return '';
+  return String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Returns the state slug for a state name, alias or slug, or null when unknown.
+ */
+export function resolveState(state) {
+  return statesByName.get(normalizePlaceName(state)) || null;
+}
+
+/**
+ * Returns the canonical city name for a city or its alias ("Bangalore" -> "Bengaluru"),
+ * or null when the city is not in the gazetteer.
+ */
+export function canonicalCityName(city) {
+  const matches = citiesByName.get(normalizePlaceName(city));
+  return matches ? matches[0].name : null;
+}
+
+/**
+ * Resolves free-text city/state to coordinates.
+ * Returns { latitude, longitude, city, state, precision } where precision is 'city' when the
+ * city was found and 'state' when only the state centroid could be used; null when neither resolves.
+ */
+export function resolveLocation(city, state) {
+  const stateSlug = resolveState(state);
+  const cityMatches = citiesByName.get(normalizePlaceName(city)) || [];
+  const cityMatch = cityMatches.find(match => !stateSlug || match.state === stateSlug) ||
+    (stateSlug ? null : cityMatches[0]);
+
+  if (cityMatch) {
+    return {
+      latitude: cityMatch.latitude,
+      longitude: cityMatch.longitude,
+      city: cityMatch.name,
+      state: cityMatch.state,
+      precision: 'city'
+    };
+  }
+
+  // A lone city field may hold a state name ("Goa") or a union territory
+  const fallbackState = stateSlug || resolveState(city);
+
+  if (fallbackState) {
+    const { latitude, longitude } = STATES[fallbackState];
+    return { latitude, longitude, city: null, state: fallbackState, precision: 'state' };
+  }
+
+  return null;
+}
+
+/**
+ * Profile columns derived from city/state. Unresolvable places clear the coordinates
+ * so a stale position never outlives a change of city.
+ */
+export function locationColumns(city, state) {
+  const location = resolveLocation(city, state);
+
+  return {
+    latitude: location ? location.latitude : null,
+    longitude: location ? location.longitude : null,
+    location_precision: location ? location.precision : null
+  };
+}
+
+export function hasCoordinates(profile) {
+  return !!profile && Number.isFinite(profile.latitude) && Number.isFinite(profile.longitude);
+}
+
+/**
+ * Great-circle distance in km between two { latitude, longitude } points.
+ */
+export function distanceKm(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Latitude/longitude bounds enclosing every point within radiusKm of center.
+ * Used to pre-filter candidates in the database before the exact distance check.
+ */
+export function boundingBox(center, radiusKm) {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const cosLat = Math.cos((center.latitude * Math.PI) / 180);
+  const lonDelta = cosLat > 1e-6 ? latDelta / cosLat : 180;
+
+  return {
+    minLatitude: center.latitude - latDelta,
+    maxLatitude: center.latitude + latDelta,
+    minLongitude: center.longitude - lonDelta,
+    maxLongitude: center.longitude + lonDelta
+  };
+}
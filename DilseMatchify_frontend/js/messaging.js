@@ -0,0 +1,258 @@
+/**
+ * Messaging Module
+ * Handles conversations, message history, sending and real-time delivery
+ */
+
+import { supabase, getCurrentUser } from './supabase-client.js';
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+export async function getConversations() {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const { data: matches, error: matchesError } = await supabase
+      .from('matches')
+      .select(`
+        id,
+        matched_at,
+        matched_profile:matched_user_id (id, first_name, last_name, profile_photo_url)
+      `)
+      .eq('user_id', user.id)
+      .eq('status', 'accepted');
+
+    if (matchesError) throw matchesError;
+
+    const { data: recentMessages, error: messagesError } = await supabase
+      .from('messages')
+      .select('*')
+      .or(`sender_id.eq.${user.id},receiver_id.eq.${user.id}`)
+      .order('created_at', { ascending: false })
+      .limit(500);
+
+    if (messagesError) throw messagesError;
+
+    const conversations = new Map();
+
+    matches.forEach(match => {
+      const partner = match.matched_profile;
+
+      if (!partner) return;
+
+      conversations.set(partner.id, {
+        match_id: match.id,
+        partner,
+        last_message: null,
+        unread_count: 0,
+        updated_at: match.matched_at
+      });
+    });
+
+    recentMessages.forEach(message => {
+      const partnerId = message.sender_id === user.id ? message.receiver_id : message.sender_id;
+      const conversation = conversations.get(partnerId);
+
+      if (!conversation) return;
+
+      if (!conversation.last_message) {
+        conversation.last_message = message;
+        conversation.updated_at = message.created_at;
+      }
+
+      if (message.receiver_id === user.id && !message.is_read) {
+        conversation.unread_count++;
+      }
+    });
+
+    const data = Array.from(conversations.values())
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    return { data: null, error };
+  }
+}
+
+// Quoted for a PostgREST or=(...) filter, where commas, dots and colons are reserved
+function filterValue(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+// Messages before the cursor message in (created_at, id) order, so messages sharing its
+// timestamp are neither skipped nor repeated
+function olderThan({ created_at: createdAt, id }) {
+  const time = filterValue(createdAt);
+  return `or(created_at.lt.${time},and(created_at.eq.${time},id.lt.${filterValue(id)}))`;
+}
+
+/**
+ * One page of the conversation with otherUserId, oldest first. Pass the returned
+ * nextCursor back as `before` to load the messages before it.
+ */
+export async function getMessages(otherUserId, { before = null, limit = 30 } = {}) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const page = before ? `,${olderThan(before)}` : '';
+
+    const { data, error } = await supabase
+      .from('messages')
+      .select('*')
+      .or(`and(sender_id.eq.${user.id},receiver_id.eq.${otherUserId}${page}),and(sender_id.eq.${otherUserId},receiver_id.eq.${user.id}${page})`)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (error) throw error;
+
+    const hasMore = data.length > limit;
+    const messages = data.slice(0, limit).reverse();
+
+    return {
+      data: messages,
+      error: null,
+      hasMore,
+      nextCursor: hasMore && messages.length > 0 ? { created_at: messages[0].created_at, id: messages[0].id } : null
+    };
+  } catch (error) {
+    console.error('Get messages error:', error);
+    return { data: null, error, hasMore: false, nextCursor: null };
+  }
+}
+
+export async function sendMessage(receiverId, content) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const text = (content || '').trim();
+
+    if (!text) {
+      throw new Error('Message cannot be empty');
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(`Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const { data: match } = await supabase
+      .from('matches')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('matched_user_id', receiverId)
+      .eq('status', 'accepted')
+      .maybeSingle();
+
+    if (!match) {
+      throw new Error('You can only message your matches');
+    }
+
+    const { data: allowed, error: contactError } = await supabase
+      .rpc('can_contact', { sender: user.id, recipient: receiverId });
+
+    if (contactError) throw contactError;
+
+    if (!allowed) {
+      throw new Error('This member is not accepting messages from you right now');
+    }
+
+    const { data, error } = await supabase
+      .from('messages')
+      .insert([{
+        sender_id: user.id,
+        receiver_id: receiverId,
+        content: text
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Send message error:', error);
+    return { data: null, error };
+  }
+}
+
+export async function markMessagesAsRead(otherUserId) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const { data, error } = await supabase
+      .from('messages')
+      .update({ is_read: true })
+      .eq('receiver_id', user.id)
+      .eq('sender_id', otherUserId)
+      .eq('is_read', false)
+      .select('id');
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Mark messages read error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Subscribe to messages sent to or by the current user.
+ * The callback receives (eventType, message) for INSERT and UPDATE events.
+ */
+export async function subscribeToMessages(callback) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const handleChange = (payload) => {
+      callback(payload.eventType, payload.new);
+    };
+
+    const channel = supabase
+      .channel(`messages:${user.id}`)
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: 'messages',
+        filter: `receiver_id=eq.${user.id}`
+      }, handleChange)
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: 'messages',
+        filter: `sender_id=eq.${user.id}`
+      }, handleChange)
+      .subscribe();
+
+    return { data: channel, error: null };
+  } catch (error) {
+    console.error('Subscribe to messages error:', error);
+    return { data: null, error };
+  }
+}
+
+export async function unsubscribeFromMessages(channel) {
+  if (channel) {
+    await supabase.removeChannel(channel);
+  }
+}
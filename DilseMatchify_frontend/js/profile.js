@@ -4,6 +4,8 @@
  */
 
 import { supabase, getCurrentUser } from './supabase-client.js';
+import { locationColumns } from './gazetteer.js';
+import { toGenderIdentity } from './compatibility.js';
 
 export async function updateProfile(profileData) {
   try {
@@ -13,9 +15,31 @@ export async function updateProfile(profileData) {
       throw new Error('No user logged in');
     }
 
+    const updates = { ...profileData };
+
+    if ('gender' in updates) {
+      updates.gender_identity = toGenderIdentity(updates.gender);
+    }
+
+    // Keep coordinates in step with the city/state text
+    if ('city' in updates || 'state' in updates) {
+      const { data: current, error: currentError } = await supabase
+        .from('profiles')
+        .select('city, state')
+        .eq('id', user.id)
+        .single();
+
+      if (currentError) throw currentError;
+
+      Object.assign(updates, locationColumns(
+        'city' in updates ? updates.city : current.city,
+        'state' in updates ? updates.state : current.state
+      ));
+    }
+
     const { data, error } = await supabase
       .from('profiles')
-      .update(profileData)
+      .update(updates)
       .eq('id', user.id)
       .select()
       .single();
@@ -33,6 +57,41 @@ export async function updateProfile(profileData) {
   }
 }
 
+const VIEWABLE_PROFILE_COLUMNS = 'id, first_name, last_name, date_of_birth, gender_identity, city, state, country, ' +
+  'religion, mother_tongue, education, occupation, height, marital_status, dietary_preferences, about_me, ' +
+  'looking_for, interests, profile_photo_url, additional_photos';
+
+/**
+ * Fetches another member's profile. RLS applies their visibility setting, so profiles
+ * the current user may not see come back as not found.
+ */
+export async function getProfileById(userId) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .select(VIEWABLE_PROFILE_COLUMNS)
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      throw new Error('Profile not found');
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Get profile error:', error);
+    return { data: null, error };
+  }
+}
+
 export async function updatePartnerPreferences(preferences) {
   try {
     const { user } = await getCurrentUser();
@@ -76,7 +135,82 @@ export async function updatePartnerPreferences(preferences) {
   }
 }
 
-export async function uploadProfilePhoto(file) {
+export const MAX_PHOTOS = 6;
+export const MAX_PHOTO_SIZE_BYTES = 5 * 1024 * 1024;
+
+const PHOTO_BUCKET = 'photos';
+
+// Allowed image types, keyed by MIME type, with the magic bytes that identify them
+const PHOTO_TYPES = {
+  'image/jpeg': { extension: 'jpg', signatures: [[0xFF, 0xD8, 0xFF]] },
+  'image/png': { extension: 'png', signatures: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]] },
+  'image/webp': { extension: 'webp', signatures: [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]] }
+};
+
+/**
+ * Checks size and content of an image before upload. The type comes from the file's
+ * leading bytes, not its name or the browser-reported MIME type.
+ * Returns the detected MIME type.
+ */
+export async function validatePhotoFile(file) {
+  if (!file || typeof file.size !== 'number') {
+    throw new Error('No photo selected');
+  }
+
+  if (file.size === 0) {
+    throw new Error('The selected photo is empty');
+  }
+
+  if (file.size > MAX_PHOTO_SIZE_BYTES) {
+    throw new Error(`Photos must be ${MAX_PHOTO_SIZE_BYTES / (1024 * 1024)} MB or smaller`);
+  }
+
+  const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+
+  const detectedType = Object.keys(PHOTO_TYPES).find(type =>
+    PHOTO_TYPES[type].signatures.some(signature =>
+      signature.every((byte, index) => byte === null || header[index] === byte)
+    )
+  );
+
+  if (!detectedType) {
+    throw new Error('Photos must be JPEG, PNG or WebP images');
+  }
+
+  return detectedType;
+}
+
+/**
+ * The current user's gallery, in display order. The first photo is the primary one
+ * and is mirrored to profile_photo_url.
+ * Each photo is { path, url, uploaded_at }.
+ */
+export async function getPhotos() {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const { data, error } = await loadGallery(user.id);
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Get photos error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Uploads a photo to the end of the gallery, or to the front when makePrimary is set.
+ * The first photo uploaded becomes the primary photo.
+ */
+export async function uploadPhoto(file, { makePrimary = false } = {}) {
+  let uploadedPath = null;
+
   try {
     const { user } = await getCurrentUser();
 
@@ -84,30 +218,242 @@ export async function uploadProfilePhoto(file) {
       throw new Error('No user logged in');
     }
 
-    const fileExt = file.name.split('.').pop();
-    const fileName = `${user.id}-${Date.now()}.${fileExt}`;
-    const filePath = `profile-photos/${fileName}`;
+    const contentType = await validatePhotoFile(file);
+
+    const { data: photos, error: galleryError } = await loadGallery(user.id);
+
+    if (galleryError) throw galleryError;
+
+    if (photos.length >= MAX_PHOTOS) {
+      throw new Error(`You can have at most ${MAX_PHOTOS} photos. Delete one to add another.`);
+    }
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${PHOTO_TYPES[contentType].extension}`;
+    const filePath = `profile-photos/${user.id}/${fileName}`;
 
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('photos')
-      .upload(filePath, file);
+    const { error: uploadError } = await supabase.storage
+      .from(PHOTO_BUCKET)
+      .upload(filePath, file, { contentType, upsert: false });
 
     if (uploadError) throw uploadError;
 
+    uploadedPath = filePath;
+
     const { data: { publicUrl } } = supabase.storage
-      .from('photos')
+      .from(PHOTO_BUCKET)
       .getPublicUrl(filePath);
 
-    const { error: updateError } = await supabase
-      .from('profiles')
-      .update({ profile_photo_url: publicUrl })
-      .eq('id', user.id);
+    const photo = { path: filePath, url: publicUrl, uploaded_at: new Date().toISOString() };
+
+    const { data, error } = await saveGallery(user.id, makePrimary ? [photo, ...photos] : [...photos, photo]);
 
-    if (updateError) throw updateError;
+    if (error) throw error;
 
-    return { data: publicUrl, error: null };
+    return { data: photo, photos: data, error: null };
   } catch (error) {
+    if (uploadedPath) {
+      // Don't leave an orphaned object behind when the profile update fails
+      await supabase.storage.from(PHOTO_BUCKET).remove([uploadedPath]);
+    }
+
     console.error('Upload photo error:', error);
+    return { data: null, photos: null, error };
+  }
+}
+
+/**
+ * Uploads a photo and makes it the primary profile photo. Returns its public URL.
+ */
+export async function uploadProfilePhoto(file) {
+  const { data, error } = await uploadPhoto(file, { makePrimary: true });
+  return { data: data ? data.url : null, error };
+}
+
+/**
+ * Reorders the gallery. `paths` must list every photo's path exactly once;
+ * the first becomes the primary photo.
+ */
+export async function reorderPhotos(paths) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const { data: photos, error: galleryError } = await loadGallery(user.id);
+
+    if (galleryError) throw galleryError;
+
+    const photosByPath = new Map(photos.map(photo => [photo.path, photo]));
+    const isPermutation = Array.isArray(paths) &&
+      paths.length === photos.length &&
+      new Set(paths).size === paths.length &&
+      paths.every(path => photosByPath.has(path));
+
+    if (!isPermutation) {
+      throw new Error('The new order must include every photo exactly once');
+    }
+
+    const { data, error } = await saveGallery(user.id, paths.map(path => photosByPath.get(path)));
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Reorder photos error:', error);
+    return { data: null, error };
+  }
+}
+
+export async function setPrimaryPhoto(path) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const { data: photos, error: galleryError } = await loadGallery(user.id);
+
+    if (galleryError) throw galleryError;
+
+    const photo = photos.find(item => item.path === path);
+
+    if (!photo) {
+      throw new Error('Photo not found');
+    }
+
+    const { data, error } = await saveGallery(user.id, [photo, ...photos.filter(item => item.path !== path)]);
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Set primary photo error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Removes a photo from the gallery and deletes its storage object.
+ * Deleting the primary photo promotes the next one.
+ */
+export async function deletePhoto(path) {
+  try {
+    const { user } = await getCurrentUser();
+
+    if (!user) {
+      throw new Error('No user logged in');
+    }
+
+    const { data: photos, error: galleryError } = await loadGallery(user.id);
+
+    if (galleryError) throw galleryError;
+
+    if (!photos.some(photo => photo.path === path)) {
+      throw new Error('Photo not found');
+    }
+
+    const { data, error } = await saveGallery(user.id, photos.filter(photo => photo.path !== path));
+
+    if (error) throw error;
+
+    const { error: removeError } = await supabase.storage
+      .from(PHOTO_BUCKET)
+      .remove([path]);
+
+    // The photo is already gone from the profile; a leftover object is only logged
+    if (removeError) console.error('Error deleting photo object:', removeError);
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Delete photo error:', error);
+    return { data: null, error };
+  }
+}
+
+async function loadGallery(userId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('additional_photos')
+    .eq('id', userId)
+    .single();
+
+  if (error) return { data: null, error };
+
+  return { data: Array.isArray(data.additional_photos) ? data.additional_photos : [], error: null };
+}
+
+async function saveGallery(userId, photos) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .update({
+      additional_photos: photos,
+      profile_photo_url: photos.length > 0 ? photos[0].url : null
+    })
+    .eq('id', userId)
+    .select()
+    .single();
+
+  if (error) return { data: null, error };
+
+  localStorage.setItem('userProfile', JSON.stringify(data));
+
+  return { data: data.additional_photos, error: null };
+}
+
+/**
+ * Prompts for the items profile_completion_status() (in the database) can report missing,
+ * keyed by item. section names the myprofile.html card where the item is edited.
+ */
+export const PROFILE_COMPLETION_ITEMS = {
+  profile_photo: { label: 'Add a profile photo', section: 'photos' },
+  more_photos: { label: 'Add at least 2 photos', section: 'photos' },
+  about_me: { label: 'Write a few lines about yourself', section: 'about' },
+  looking_for: { label: 'Say what you are looking for', section: 'about' },
+  interests: { label: 'Add at least 3 interests', section: 'interests' },
+  date_of_birth: { label: 'Add your date of birth', section: 'basic' },
+  gender: { label: 'Add your gender', section: 'basic' },
+  phone: { label: 'Add your phone number', section: 'basic' },
+  location: { label: 'Add your city and state', section: 'basic' },
+  religion: { label: 'Add your religion', section: 'basic' },
+  mother_tongue: { label: 'Add your mother tongue', section: 'basic' },
+  education: { label: 'Add your education', section: 'basic' },
+  occupation: { label: 'Add your occupation', section: 'basic' },
+  height: { label: 'Add your height', section: 'basic' },
+  marital_status: { label: 'Add your marital status', section: 'basic' },
+  dietary_preferences: { label: 'Add your dietary preferences', section: 'basic' },
+  partner_age_range: { label: 'Set the age range you are looking for', section: 'preferences' }
+};
+
+/**
+ * The current user's profile completion, computed by the database from their profile
+ * and partner preferences.
+ * Returns { data: { percentage, missing: [{ item, label, section }] }, error }
+ */
+export async function getProfileCompletion() {
+  try {
+    const { data, error } = await supabase.rpc('get_profile_completion');
+
+    if (error) throw error;
+
+    if (!data) {
+      throw new Error('Profile not found');
+    }
+
+    return {
+      data: {
+        percentage: data.percentage,
+        missing: data.missing.map(item => ({
+          item,
+          ...(PROFILE_COMPLETION_ITEMS[item] || { label: `Add your ${item.replace(/_/g, ' ')}`, section: 'basic' })
+        }))
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Get profile completion error:', error);
     return { data: null, error };
   }
 }
@@ -123,7 +469,7 @@ export async function getProfileStats() {
     const { count: matchesCount } = await supabase
       .from('matches')
       .select('*', { count: 'exact', head: true })
-      .or(`user_id.eq.${user.id},matched_user_id.eq.${user.id}`)
+      .eq('user_id', user.id)
       .eq('status', 'accepted');
 
     const { count: likesCount } = await supabase
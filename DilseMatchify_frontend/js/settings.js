@@ -0,0 +1,132 @@
+/**
+ * Settings Module
+ * Loads, saves and resets the current user's settings.
+ * Values are validated here for immediate feedback and again by the database functions.
+ */
+
+import { supabase } from './supabase-client.js';
+import { GENDER_IDENTITIES } from './compatibility.js';
+import { PROFILE_VISIBILITY_MODES, CONTACT_PREFERENCES } from './visibility.js';
+
+export const PROFILE_VISIBILITY_OPTIONS = PROFILE_VISIBILITY_MODES;
+export const CONTACT_PREFERENCE_OPTIONS = CONTACT_PREFERENCES;
+export const LANGUAGE_OPTIONS = ['en', 'hi', 'ta', 'te', 'bn', 'gu'];
+export const DATA_USAGE_OPTIONS = ['auto', 'high-quality', 'data-saver'];
+export const MAX_DISTANCE_LIMIT_KM = 5000;
+
+export const BOOLEAN_SETTINGS = [
+  'email_notifications',
+  'show_distance',
+  'show_age',
+  'show_last_active',
+  'read_receipts',
+  'notify_new_matches',
+  'notify_messages',
+  'notify_super_likes',
+  'push_notifications'
+];
+
+// Mirrors the column defaults; interested_in defaults per gender identity on reset
+export const DEFAULT_SETTINGS = {
+  profile_visibility: 'public',
+  contact_preference: 'anyone',
+  email_notifications: true,
+  interested_in: [...GENDER_IDENTITIES],
+  max_distance_km: null,
+  show_distance: true,
+  show_age: true,
+  show_last_active: false,
+  read_receipts: false,
+  notify_new_matches: true,
+  notify_messages: true,
+  notify_super_likes: true,
+  push_notifications: false,
+  language: 'en',
+  data_usage: 'auto'
+};
+
+const ENUM_SETTINGS = {
+  profile_visibility: PROFILE_VISIBILITY_OPTIONS,
+  contact_preference: CONTACT_PREFERENCE_OPTIONS,
+  language: LANGUAGE_OPTIONS,
+  data_usage: DATA_USAGE_OPTIONS
+};
+
+/**
+ * Checks a (partial) settings object.
+ * Returns { valid, errors } where errors maps each invalid field to a message.
+ */
+export function validateSettings(settings) {
+  const errors = {};
+
+  Object.entries(settings || {}).forEach(([key, value]) => {
+    if (!(key in DEFAULT_SETTINGS)) {
+      errors[key] = 'Unknown setting';
+    } else if (BOOLEAN_SETTINGS.includes(key)) {
+      if (typeof value !== 'boolean') errors[key] = 'Expected true or false';
+    } else if (ENUM_SETTINGS[key]) {
+      if (!ENUM_SETTINGS[key].includes(value)) errors[key] = `Expected one of ${ENUM_SETTINGS[key].join(', ')}`;
+    } else if (key === 'interested_in') {
+      if (!Array.isArray(value) || value.length === 0 || !value.every(identity => GENDER_IDENTITIES.includes(identity))) {
+        errors[key] = `Choose at least one of ${GENDER_IDENTITIES.join(', ')}`;
+      }
+    } else if (key === 'max_distance_km') {
+      if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_DISTANCE_LIMIT_KM)) {
+        errors[key] = `Expected a whole number of km between 1 and ${MAX_DISTANCE_LIMIT_KM}, or no limit`;
+      }
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+export async function getSettings() {
+  try {
+    const { data, error } = await supabase.rpc('get_user_settings');
+
+    if (error) throw error;
+
+    return { data: { ...DEFAULT_SETTINGS, ...data }, error: null };
+  } catch (error) {
+    console.error('Get settings error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Saves any subset of settings. Returns the full saved settings, or
+ * { error, fieldErrors } when a value is invalid.
+ */
+export async function saveSettings(settings) {
+  try {
+    const { valid, errors } = validateSettings(settings);
+
+    if (!valid) {
+      const error = new Error('Some settings have invalid values');
+      error.fieldErrors = errors;
+      throw error;
+    }
+
+    const { data, error } = await supabase.rpc('update_user_settings', { settings });
+
+    if (error) throw error;
+
+    return { data: { ...DEFAULT_SETTINGS, ...data }, error: null, fieldErrors: null };
+  } catch (error) {
+    console.error('Save settings error:', error);
+    return { data: null, error, fieldErrors: error.fieldErrors || null };
+  }
+}
+
+export async function resetSettings() {
+  try {
+    const { data, error } = await supabase.rpc('reset_user_settings');
+
+    if (error) throw error;
+
+    return { data: { ...DEFAULT_SETTINGS, ...data }, error: null };
+  } catch (error) {
+    console.error('Reset settings error:', error);
+    return { data: null, error };
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Sign-In With Ethereum (EIP-4361) Module
+ * Builds, parses and validates SIWE messages. Shared by the browser, which builds the
+ * message the wallet signs, and the backend, which parses and checks it.
+ * Must not import anything environment-specific.
+ */
+
+export const SIWE_VERSION = '1';
+export const SIWE_STATEMENT = 'Sign in to DilSe Matchify.';
+export const SIWE_LINK_STATEMENT = 'Link this wallet to my DilSe Matchify account.';
+export const SIWE_MERGE_STATEMENT = 'Merge the DilSe Matchify account of this wallet into my signed-in account.';
+
+// Allowed clock difference between the browser, the wallet and the server
+export const CLOCK_SKEW_MS = 60 * 1000;
+
+const PREAMBLE_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+const DOMAIN_PATTERN = /^[a-zA-Z0-9.-]+(:\d{1,5})?$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Optional fields in the order the spec requires them
+const OPTIONAL_FIELDS = [
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId']
+];
+
+/**
+ * Builds the message text for the given fields:
+ * { domain, address, statement, uri, version, chainId, nonce, issuedAt,
+ *   expirationTime?, notBefore?, requestId?, resources? }
+ */
+export function createSiweMessage(fields) {
+  const lines = [
+    `${fields.domain}${PREAMBLE_SUFFIX}`,
+    fields.address,
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement);
+  }
+
+  lines.push(
+    '',
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version || SIWE_VERSION}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+
+  OPTIONAL_FIELDS.forEach(([label, key]) => {
+    if (fields[key]) lines.push(`${label}: ${fields[key]}`);
+  });
+
+  if (Array.isArray(fields.resources) && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Strictly parses a SIWE message. Every line must be exactly where the spec puts it;
+ * anything extra, missing or out of order is rejected.
+ * Throws an Error describing the first problem found.
+ */
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string' || message.includes('\r')) {
+    throw new Error('Invalid SIWE message: expected LF-separated text');
+  }
+
+  const lines = message.split('\n');
+  let index = 0;
+
+  const next = () => {
+    if (index >= lines.length) throw new Error('Invalid SIWE message: unexpected end of message');
+    return lines[index++];
+  };
+
+  const field = (label, key, pattern) => {
+    const line = next();
+    const prefix = `${label}: `;
+    if (!line.startsWith(prefix)) throw new Error(`Invalid SIWE message: expected "${label}"`);
+    const value = line.slice(prefix.length);
+    if (!value || (pattern && !pattern.test(value))) throw new Error(`Invalid SIWE message: malformed ${key}`);
+    return value;
+  };
+
+  const preamble = next();
+  if (!preamble.endsWith(PREAMBLE_SUFFIX)) throw new Error('Invalid SIWE message: missing preamble');
+
+  const fields = { domain: preamble.slice(0, -PREAMBLE_SUFFIX.length) };
+  if (!DOMAIN_PATTERN.test(fields.domain)) throw new Error('Invalid SIWE message: malformed domain');
+
+  fields.address = next();
+  if (!ADDRESS_PATTERN.test(fields.address)) throw new Error('Invalid SIWE message: malformed address');
+
+  if (next() !== '') throw new Error('Invalid SIWE message: expected blank line after address');
+
+  const statementLine = next();
+  if (statementLine !== '') {
+    fields.statement = statementLine;
+    if (next() !== '') throw new Error('Invalid SIWE message: expected blank line after statement');
+  } else {
+    fields.statement = null;
+  }
+
+  fields.uri = field('URI', 'uri');
+  fields.version = field('Version', 'version', /^1$/);
+  fields.chainId = Number(field('Chain ID', 'chainId', /^[1-9]\d*$/));
+  fields.nonce = field('Nonce', 'nonce', NONCE_PATTERN);
+  fields.issuedAt = field('Issued At', 'issuedAt', DATETIME_PATTERN);
+
+  OPTIONAL_FIELDS.forEach(([label, key]) => {
+    if (index < lines.length && lines[index].startsWith(`${label}: `)) {
+      fields[key] = field(label, key, key === 'requestId' ? null : DATETIME_PATTERN);
+    } else {
+      fields[key] = null;
+    }
+  });
+
+  fields.resources = [];
+  if (index < lines.length && lines[index] === 'Resources:') {
+    index++;
+    while (index < lines.length && lines[index].startsWith('- ')) {
+      fields.resources.push(lines[index++].slice(2));
+    }
+  }
+
+  if (index !== lines.length) throw new Error('Invalid SIWE message: unexpected trailing content');
+
+  ['issuedAt', 'expirationTime', 'notBefore'].forEach(key => {
+    if (fields[key] && Number.isNaN(Date.parse(fields[key]))) {
+      throw new Error(`Invalid SIWE message: malformed ${key}`);
+    }
+  });
+
+  try {
+    new URL(fields.uri);
+  } catch (error) {
+    throw new Error('Invalid SIWE message: malformed uri');
+  }
+
+  return fields;
+}
+
+/**
+ * Checks parsed fields against what the server expects:
+ * { address, domains, origins, chainId, nonce, statement, notIssuedBefore, notExpiringAfter, now }
+ * Returns null when the message is acceptable, otherwise the reason it is not.
+ */
+export function validateSiweFields(fields, expected) {
+  const now = expected.now || new Date();
+  const issuedAt = new Date(fields.issuedAt);
+
+  if (fields.address !== expected.address) return 'Message address does not match wallet address';
+  if (!expected.domains.includes(fields.domain)) return 'Message domain is not allowed';
+
+  let uriOrigin;
+  try {
+    uriOrigin = new URL(fields.uri).origin;
+  } catch (error) {
+    return 'Message URI is invalid';
+  }
+
+  if (!expected.origins.includes(uriOrigin)) return 'Message URI is not allowed';
+  if (new URL(uriOrigin).host !== fields.domain) return 'Message URI does not match its domain';
+  if (fields.version !== SIWE_VERSION) return 'Unsupported message version';
+  if (fields.chainId !== expected.chainId) return 'Message chain ID does not match the requested chain';
+  if (fields.nonce !== expected.nonce) return 'Message nonce does not match';
+  if (fields.statement !== (expected.statement || SIWE_STATEMENT)) return 'Unexpected message statement';
+
+  if (issuedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) return 'Message is issued in the future';
+  if (expected.notIssuedBefore && issuedAt.getTime() < expected.notIssuedBefore.getTime() - CLOCK_SKEW_MS) {
+    return 'Message was issued before its nonce';
+  }
+
+  if (!fields.expirationTime) return 'Message must have an expiration time';
+
+  const expirationTime = new Date(fields.expirationTime);
+
+  if (expirationTime.getTime() <= now.getTime()) return 'Message has expired';
+  if (expirationTime.getTime() <= issuedAt.getTime()) return 'Message expires before it is issued';
+  if (expected.notExpiringAfter && expirationTime.getTime() > expected.notExpiringAfter.getTime() + CLOCK_SKEW_MS) {
+    return 'Message outlives its nonce';
+  }
+
+  if (fields.notBefore && new Date(fields.notBefore).getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    return 'Message is not valid yet';
+  }
+
+  return null;
+}
@@ -0,0 +1,54 @@
+/**
+ * Profile Visibility Module
+ * Who may see and contact a profile, shared by the browser and the backend API.
+ * Mirrors can_view_profile() and can_contact() in the database, which enforce the same rules in RLS.
+ */
+
+export const PROFILE_VISIBILITY_MODES = ['public', 'matches-only', 'incognito', 'hidden'];
+export const CONTACT_PREFERENCES = ['anyone', 'matches-only', 'verified-only'];
+
+/**
+ * relationship describes the viewer as seen from the profile owner:
+ * { isSelf, isBlocked, isMatched, ownerLikedViewer }
+ */
+export function canViewProfile(visibility, relationship = {}) {
+  if (relationship.isSelf) return true;
+  if (relationship.isBlocked) return false;
+
+  switch (visibility) {
+    case 'public':
+      return true;
+    // People the owner liked can see them so they can like back; the two modes differ
+    // only in discovery, which never shows matches-only profiles
+    case 'matches-only':
+    case 'incognito':
+      return !!relationship.isMatched || !!relationship.ownerLikedViewer;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether the sender may like or message the profile owner. relationship is as for
+ * canViewProfile, plus { senderVerified }.
+ */
+export function canContact(profile, relationship = {}) {
+  if (relationship.isSelf || !canViewProfile(profile.profile_visibility, relationship)) return false;
+
+  switch (profile.contact_preference) {
+    case 'anyone':
+      return true;
+    case 'matches-only':
+      return !!relationship.isMatched || !!relationship.ownerLikedViewer;
+    case 'verified-only':
+      return !!relationship.senderVerified;
+    default:
+      return false;
+  }
+}
+
+export function contactRefusalMessage(contactPreference) {
+  if (contactPreference === 'matches-only') return 'This member only accepts likes from people they have liked';
+  if (contactPreference === 'verified-only') return 'This member only accepts likes and messages from verified members';
+  return 'This member is not accepting likes or messages';
+}
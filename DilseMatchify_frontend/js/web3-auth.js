@@ -5,27 +5,30 @@
 
 import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.9.0/+esm';
 import { supabase } from './supabase-client.js';
+import { API_BASE_URL, apiRequest, storeWalletTokens, logoutWalletSession, logoutAllDevices as logoutAllSessions } from './api-client.js';
+import { createSiweMessage } from './siwe.js';
 
-const API_BASE_URL = 'http://localhost:3001/api';
+// Custom wallets are not connected to a network, so they sign in on mainnet
+export const CUSTOM_WALLET_CHAIN_ID = 1;
 
-export class Web3AuthManager {
-  constructor() {
-    this.provider = null;
-    this.signer = null;
-    this.walletAddress = null;
-  }
+// Signer sources tell Web3AuthManager where the wallet comes from. A source is
+// { type, connect() }, where connect() resolves to { address, signer, chainId, provider }
+// (provider is null for local wallets). Every source signs in through the same
+// nonce/verify flow.
 
-  async detectProvider() {
-    if (typeof window.ethereum !== 'undefined') {
-      return window.ethereum;
-    }
-    throw new Error('MetaMask or compatible wallet not detected');
-  }
+/**
+ * A browser wallet such as MetaMask, via window.ethereum
+ */
+export function injectedSource(ethereum = window.ethereum) {
+  return {
+    type: 'injected',
+    ethereum,
+    async connect() {
+      if (typeof ethereum === 'undefined') {
+        throw new Error('MetaMask or compatible wallet not detected');
+      }
 
-  async connectWallet() {
-    try {
-      const ethereum = await this.detectProvider();
-      this.provider = new ethers.BrowserProvider(ethereum);
+      const provider = new ethers.BrowserProvider(ethereum);
 
       const accounts = await ethereum.request({
         method: 'eth_requestAccounts'
@@ -35,25 +38,91 @@ export class Web3AuthManager {
         throw new Error('No accounts found');
       }
 
-      this.walletAddress = ethers.getAddress(accounts[0]);
-      this.signer = await this.provider.getSigner();
+      const signer = await provider.getSigner();
+      const { chainId } = await provider.getNetwork();
 
-      ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-          this.disconnect();
-        } else {
-          this.walletAddress = ethers.getAddress(accounts[0]);
-          window.location.reload();
-        }
-      });
+      return {
+        address: ethers.getAddress(accounts[0]),
+        signer,
+        chainId: Number(chainId),
+        provider
+      };
+    }
+  };
+}
 
-      ethereum.on('chainChanged', () => {
-        window.location.reload();
-      });
+function localWalletSource(type, loadWallet) {
+  return {
+    type,
+    async connect() {
+      const wallet = await loadWallet();
+
+      return {
+        address: wallet.address,
+        signer: wallet,
+        chainId: CUSTOM_WALLET_CHAIN_ID,
+        provider: null
+      };
+    }
+  };
+}
+
+/**
+ * The custom wallet stored on this device, decrypted with its password
+ */
+export function keystoreSource(password) {
+  return localWalletSource('keystore', () => loadCustomWallet(password));
+}
+
+/**
+ * A wallet imported from its recovery phrase, which is also stored on this device
+ * encrypted with the password
+ */
+export function mnemonicSource(mnemonic, password) {
+  return localWalletSource('mnemonic', async () => {
+    const { wallet } = await importWalletFromMnemonic(mnemonic, password);
+    return wallet;
+  });
+}
+
+/**
+ * A server backup of a custom wallet (see restoreCustomWallet)
+ */
+export function backupSource(password, walletAddress = null) {
+  return localWalletSource('backup', () => restoreCustomWallet(password, walletAddress));
+}
+
+export class Web3AuthManager {
+  constructor() {
+    this.provider = null;
+    this.signer = null;
+    this.walletAddress = null;
+    this.chainId = null;
+    this.sourceType = null;
+    this.watchedProvider = null;
+  }
+
+  /**
+   * Connects a wallet from the given signer source (default: the browser wallet)
+   */
+  async connectWallet(source = injectedSource()) {
+    try {
+      const { address, signer, chainId, provider } = await source.connect();
+
+      this.provider = provider;
+      this.signer = signer;
+      this.walletAddress = address;
+      this.chainId = chainId;
+      this.sourceType = source.type;
+
+      if (source.type === 'injected') {
+        this.watchInjectedWallet(source.ethereum);
+      }
 
       return {
-        address: this.walletAddress,
-        provider: this.provider
+        address,
+        chainId,
+        provider
       };
     } catch (error) {
       console.error('Wallet connection error:', error);
@@ -61,9 +130,27 @@ export class Web3AuthManager {
     }
   }
 
-  async requestNonce(walletAddress) {
+  watchInjectedWallet(ethereum) {
+    if (this.watchedProvider === ethereum) return;
+    this.watchedProvider = ethereum;
+
+    ethereum.on('accountsChanged', (accounts) => {
+      if (accounts.length === 0) {
+        this.disconnect();
+      } else {
+        this.walletAddress = ethers.getAddress(accounts[0]);
+        window.location.reload();
+      }
+    });
+
+    ethereum.on('chainChanged', () => {
+      window.location.reload();
+    });
+  }
+
+  async requestNonce(walletAddress, chainId, purpose = 'login') {
     try {
-      const response = await fetch(`${API_BASE_URL}/auth/nonce/${walletAddress}`);
+      const response = await fetch(`${API_BASE_URL}/auth/nonce/${walletAddress}?chainId=${chainId}&purpose=${purpose}`);
 
       if (!response.ok) {
         const error = await response.json();
@@ -119,59 +206,174 @@ export class Web3AuthManager {
     }
   }
 
-  async authenticateWithWallet() {
+  /**
+   * Connects a wallet from the signer source and signs in with it
+   */
+  async authenticateWithWallet(source = injectedSource()) {
     try {
-      const { address } = await this.connectWallet();
+      const { address, chainId } = await this.connectWallet(source);
 
-      const { nonce, message } = await this.requestNonce(address);
+      return await this.signIn(address, chainId);
+    } catch (error) {
+      console.error('Web3 authentication error:', error);
+      throw error;
+    }
+  }
 
-      const signature = await this.signMessage(message);
+  /**
+   * Signs a Sign-In With Ethereum message for this page's origin with the current signer
+   * and exchanges it for a JWT
+   */
+  async signIn(address, chainId) {
+    const message = await this.prepareSiweMessage(address, chainId, 'login');
 
-      const result = await this.verifySignature(address, signature, message);
+    const signature = await this.signMessage(message);
 
-      if (result.success && result.token) {
-        localStorage.setItem('web3_auth_token', result.token);
-        localStorage.setItem('web3_wallet_address', result.walletAddress);
-        localStorage.setItem('web3_user_id', result.userId);
+    const result = await this.verifySignature(address, signature, message);
 
-        await this.syncWithSupabase(result.userId, result.walletAddress);
-      }
+    if (result.success && result.token) {
+      storeWalletTokens(result);
+
+      await this.startSupabaseSession(result.session);
+    }
+
+    return result;
+  }
+
+  /**
+   * Requests a nonce for the given purpose (`login`, `link` or `merge`) and builds the
+   * Sign-In With Ethereum message for this page's origin
+   */
+  async prepareSiweMessage(address, chainId, purpose) {
+    const siwe = await this.requestNonce(address, chainId, purpose);
+
+    return createSiweMessage({
+      domain: window.location.host,
+      address,
+      statement: siwe.statement,
+      uri: window.location.origin,
+      version: siwe.version,
+      chainId: siwe.chainId,
+      nonce: siwe.nonce,
+      issuedAt: siwe.issuedAt,
+      expirationTime: siwe.expirationTime
+    });
+  }
+
+  /**
+   * Links a wallet from the signer source to the logged-in account. The wallet signs a
+   * link message, proving it is controlled by the user.
+   */
+  async linkWallet(source = injectedSource()) {
+    try {
+      const { address, chainId } = await this.connectWallet(source);
+
+      const message = await this.prepareSiweMessage(address, chainId, 'link');
+      const signature = await this.signMessage(message);
 
-      return result;
+      return await apiRequest('/auth/link-wallet', {
+        method: 'POST',
+        body: { walletAddress: address, signature, message }
+      });
     } catch (error) {
-      console.error('Web3 authentication error:', error);
+      console.error('Link wallet error:', error);
       throw error;
     }
   }
 
-  async syncWithSupabase(userId, walletAddress) {
+  /**
+   * Merges the account of a wallet from the signer source into the logged-in account,
+   * which is kept. keepProfile: 'current' (default) or 'merged' to use the other
+   * account's profile.
+   */
+  async mergeAccount(source = injectedSource(), { keepProfile = 'current' } = {}) {
     try {
-      const tempEmail = `${walletAddress.toLowerCase()}@wallet.dilsematchify.com`;
-      const tempPassword = localStorage.getItem('web3_temp_pass') ||
-        Math.random().toString(36).substring(2, 15);
+      const { address, chainId } = await this.connectWallet(source);
 
-      localStorage.setItem('web3_temp_pass', tempPassword);
+      const message = await this.prepareSiweMessage(address, chainId, 'merge');
+      const signature = await this.signMessage(message);
 
-      const { data, error } = await supabase.auth.signInWithPassword({
-        email: tempEmail,
-        password: tempPassword
+      return await apiRequest('/account/merge', {
+        method: 'POST',
+        body: { walletAddress: address, signature, message, keepProfile }
       });
+    } catch (error) {
+      console.error('Merge account error:', error);
+      throw error;
+    }
+  }
 
-      if (error) {
-        console.log('Supabase sync not needed or failed:', error.message);
-      }
+  async listWallets() {
+    try {
+      const { wallets } = await apiRequest('/wallets');
+      return wallets;
     } catch (error) {
-      console.error('Supabase sync error:', error);
+      console.error('List wallets error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlinks a wallet. Fails if it is the account's only way to log in.
+   */
+  async unlinkWallet(walletAddress) {
+    try {
+      const { wallets } = await apiRequest(`/wallets/${walletAddress}`, { method: 'DELETE' });
+      return wallets;
+    } catch (error) {
+      console.error('Unlink wallet error:', error);
+      throw error;
+    }
+  }
+
+  async setPrimaryWallet(walletAddress) {
+    try {
+      const { wallets } = await apiRequest(`/wallets/${walletAddress}/primary`, { method: 'POST' });
+      return wallets;
+    } catch (error) {
+      console.error('Set primary wallet error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Installs the Supabase session the backend issued for this wallet, so profile,
+   * matching and messaging calls work for wallet users
+   */
+  async startSupabaseSession(session) {
+    if (!session) {
+      throw new Error('Wallet login did not return a session');
     }
+
+    const { error } = await supabase.auth.setSession({
+      access_token: session.access_token,
+      refresh_token: session.refresh_token
+    });
+
+    if (error) throw error;
+  }
+
+  async disconnect() {
+    this.provider = null;
+    this.signer = null;
+    this.walletAddress = null;
+    this.chainId = null;
+    this.sourceType = null;
+    localStorage.removeItem('web3_temp_pass');
+
+    await logoutWalletSession();
+    await supabase.auth.signOut({ scope: 'local' });
   }
 
-  disconnect() {
+  async logoutAllDevices() {
     this.provider = null;
     this.signer = null;
     this.walletAddress = null;
-    localStorage.removeItem('web3_auth_token');
-    localStorage.removeItem('web3_wallet_address');
-    localStorage.removeItem('web3_user_id');
+    this.chainId = null;
+    this.sourceType = null;
+
+    const { error } = await logoutAllSessions();
+    if (error) throw error;
   }
 
   isAuthenticated() {
@@ -188,30 +390,40 @@ export class Web3AuthManager {
   }
 }
 
+export const MIN_WALLET_PASSWORD_LENGTH = 8;
+
+const BACKUP_COLUMNS = 'wallet_address, created_at, updated_at, restore_key_hash';
+
+// Restore keys cost as much to guess as the keystore's own scrypt (N = 2^17, r = 8, p = 1)
+const RESTORE_KEY_SCRYPT = { N: 131072, r: 8, p: 1 };
+
+function storeLocalWallet(encryptedJson, address) {
+  localStorage.setItem('custom_wallet_encrypted', encryptedJson);
+  localStorage.setItem('custom_wallet_address', address);
+}
+
+/**
+ * The key that fetches a wallet's backup before signing in (POST /auth/wallet-backup),
+ * derived from the wallet password and address. Backups store only its SHA-256 hash.
+ */
+async function backupRestoreKey(password, walletAddress) {
+  const salt = ethers.toUtf8Bytes(`dilsematchify-wallet-backup:${ethers.getAddress(walletAddress)}`);
+  const { N, r, p } = RESTORE_KEY_SCRYPT;
+
+  return ethers.scrypt(ethers.toUtf8Bytes(password.normalize('NFKC')), salt, N, r, p, 32);
+}
+
+async function backupRestoreKeyHash(password, walletAddress) {
+  return ethers.sha256(await backupRestoreKey(password, walletAddress));
+}
+
 export async function createCustomWallet(password) {
   try {
     const wallet = ethers.Wallet.createRandom();
 
     const encryptedJson = await wallet.encrypt(password);
 
-    localStorage.setItem('custom_wallet_encrypted', encryptedJson);
-    localStorage.setItem('custom_wallet_address', wallet.address);
-
-    const { data: { user } } = await supabase.auth.getUser();
-
-    if (user) {
-      const { error } = await supabase
-        .from('custom_wallets')
-        .insert([{
-          user_id: user.id,
-          encrypted_private_key: encryptedJson,
-          wallet_address: wallet.address
-        }]);
-
-      if (error) {
-        console.error('Error saving custom wallet:', error);
-      }
-    }
+    storeLocalWallet(encryptedJson, wallet.address);
 
     return {
       address: wallet.address,
@@ -246,11 +458,11 @@ export async function importWalletFromMnemonic(mnemonic, password) {
 
     const encryptedJson = await wallet.encrypt(password);
 
-    localStorage.setItem('custom_wallet_encrypted', encryptedJson);
-    localStorage.setItem('custom_wallet_address', wallet.address);
+    storeLocalWallet(encryptedJson, wallet.address);
 
     return {
-      address: wallet.address
+      address: wallet.address,
+      wallet
     };
   } catch (error) {
     console.error('Wallet import error:', error);
@@ -262,6 +474,200 @@ export function hasCustomWallet() {
   return !!localStorage.getItem('custom_wallet_encrypted');
 }
 
+/**
+ * Lists the signed-in user's server backups (without the keystores), newest first.
+ * `restorable` says whether the backup can be restored before signing in; older backups
+ * need backing up again for that.
+ */
+export async function listCustomWalletBackups() {
+  try {
+    const { data, error } = await supabase
+      .from('custom_wallets')
+      .select(BACKUP_COLUMNS)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(({ restore_key_hash: restoreKeyHash, ...backup }) => ({ ...backup, restorable: !!restoreKeyHash }));
+  } catch (error) {
+    console.error('List wallet backups error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Uploads this device's encrypted keystore to the signed-in user's account, with the
+ * restore key hash that lets another device restore it before signing in. password is
+ * the wallet password. The wallet must already be linked to the account, e.g. by
+ * signing in with it.
+ */
+export async function backupCustomWallet(password) {
+  try {
+    const encryptedJson = localStorage.getItem('custom_wallet_encrypted');
+
+    // Decrypting checks the password, so the restore key matches the keystore
+    const wallet = await loadCustomWallet(password);
+
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('Sign in to back up your wallet');
+    }
+
+    const { data, error } = await supabase
+      .from('custom_wallets')
+      .upsert([{
+        user_id: user.id,
+        encrypted_private_key: encryptedJson,
+        wallet_address: wallet.address,
+        restore_key_hash: await backupRestoreKeyHash(password, wallet.address)
+      }], { onConflict: 'wallet_address' })
+      .select(BACKUP_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    const { restore_key_hash: restoreKeyHash, ...backup } = data;
+
+    return { ...backup, restorable: !!restoreKeyHash };
+  } catch (error) {
+    console.error('Wallet backup error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Downloads a backup, decrypts it with the wallet password and stores it on this device.
+ * Signed in, it restores the newest of the user's backups unless walletAddress is given.
+ * Before signing in, walletAddress is required and the backend only hands out the backup
+ * for the restore key derived from the password (backups made before restore keys need a
+ * signed-in session or the recovery phrase).
+ * Returns the decrypted ethers.Wallet.
+ */
+export async function restoreCustomWallet(password, walletAddress = null) {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+
+    const encryptedJson = session
+      ? await downloadOwnBackup(walletAddress)
+      : await downloadBackupWithRestoreKey(password, walletAddress);
+
+    const wallet = await ethers.Wallet.fromEncryptedJson(encryptedJson, password);
+
+    storeLocalWallet(encryptedJson, wallet.address);
+
+    return wallet;
+  } catch (error) {
+    console.error('Wallet restore error:', error);
+    throw error;
+  }
+}
+
+async function downloadOwnBackup(walletAddress) {
+  let query = supabase
+    .from('custom_wallets')
+    .select('encrypted_private_key')
+    .order('updated_at', { ascending: false })
+    .limit(1);
+
+  if (walletAddress) {
+    query = query.eq('wallet_address', ethers.getAddress(walletAddress));
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    throw new Error('No wallet backup found');
+  }
+
+  return data.encrypted_private_key;
+}
+
+async function downloadBackupWithRestoreKey(password, walletAddress) {
+  if (!walletAddress) {
+    throw new Error('Enter the address of the wallet to restore');
+  }
+
+  const response = await fetch(`${API_BASE_URL}/auth/wallet-backup`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      walletAddress: ethers.getAddress(walletAddress),
+      restoreKey: await backupRestoreKey(password, walletAddress)
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to download wallet backup');
+  }
+
+  return data.encryptedPrivateKey;
+}
+
+/**
+ * Re-encrypts this device's wallet under a new password, and its server backup too when
+ * there is one
+ */
+export async function changeCustomWalletPassword(currentPassword, newPassword) {
+  try {
+    if (!newPassword || newPassword.length < MIN_WALLET_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_WALLET_PASSWORD_LENGTH} characters`);
+    }
+
+    const wallet = await loadCustomWallet(currentPassword);
+    const encryptedJson = await wallet.encrypt(newPassword);
+
+    const { data: { user } } = await supabase.auth.getUser();
+
+    // Update the backup first, so a failure leaves both copies on the old password
+    if (user) {
+      const { error } = await supabase
+        .from('custom_wallets')
+        .update({
+          encrypted_private_key: encryptedJson,
+          restore_key_hash: await backupRestoreKeyHash(newPassword, wallet.address)
+        })
+        .eq('wallet_address', wallet.address);
+
+      if (error) throw error;
+    }
+
+    storeLocalWallet(encryptedJson, wallet.address);
+
+    return { address: wallet.address };
+  } catch (error) {
+    console.error('Wallet password change error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes the server backup of a wallet. The copy on this device is kept.
+ */
+export async function deleteCustomWalletBackup(walletAddress = localStorage.getItem('custom_wallet_address')) {
+  try {
+    if (!walletAddress) {
+      throw new Error('No custom wallet found');
+    }
+
+    const { error } = await supabase
+      .from('custom_wallets')
+      .delete()
+      .eq('wallet_address', ethers.getAddress(walletAddress));
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Wallet backup deletion error:', error);
+    throw error;
+  }
+}
+
 export async function getWalletBalance(address, provider) {
   try {
     const balance = await provider.getBalance(address);
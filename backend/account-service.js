@@ -0,0 +1,152 @@
+/**
+ * Account Service
+ * Lists an account's logins and merges a second account into it, for people who signed
+ * up twice (e.g. once by email and once with a wallet). The caller proves they own the
+ * other account with its email and password, or with a `merge` SIWE signature from one
+ * of its wallets. The other account's data moves over (see merge_accounts) and the
+ * account is deleted.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_URL, SUPABASE_ANON_KEY, supabaseAdmin, hasServiceRoleKey } from './supabase.js';
+import { isLoginEmail } from './wallet-session.js';
+import { verifySignedMessage } from './siwe-auth.js';
+import { listWallets } from './wallet-service.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Returns { data: { email, wallets }, error }. email is null for wallet-only accounts.
+ */
+export async function getLogins(userId) {
+  try {
+    const { data: authData, error: userError } = await supabaseAdmin.auth.admin.getUserById(userId);
+
+    if (userError) throw userError;
+
+    const { data: wallets, error: walletsError } = await listWallets(userId);
+
+    if (walletsError) throw walletsError;
+
+    const email = authData.user.email;
+
+    return { data: { email: isLoginEmail(email) ? email : null, wallets }, error: null };
+  } catch (error) {
+    console.error('Get logins error:', error);
+    return { data: null, error };
+  }
+}
+
+async function userIdForPassword(email, password) {
+  // signInWithPassword stores the session on the client it is called on, so use a throwaway one
+  const client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: { autoRefreshToken: false, persistSession: false }
+  });
+
+  const { data, error } = await client.auth.signInWithPassword({ email, password });
+
+  if (error) {
+    throw httpError(401, 'Incorrect email or password for the other account');
+  }
+
+  // The account is about to be deleted; don't leave the proof session behind
+  await client.auth.signOut();
+
+  return data.user.id;
+}
+
+async function userIdForWallet(signedMessage) {
+  const { data: walletAddress, error: signatureError } = await verifySignedMessage(signedMessage, { purpose: 'merge' });
+
+  if (signatureError) throw signatureError;
+
+  const { data: wallet, error } = await supabaseAdmin
+    .from('wallet_addresses')
+    .select('user_id')
+    .eq('wallet_address', walletAddress)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!wallet) {
+    throw httpError(404, 'No account uses this wallet; link it to your account instead');
+  }
+
+  return wallet.user_id;
+}
+
+/**
+ * Merges the account identified by `proof` into the user's account and deletes it.
+ *
+ * proof: { email, password } or { walletAddress, signature, message }
+ * keepProfile: `current` keeps the user's profile, `merged` takes the other account's.
+ * If only the other account has an email login, it moves to the user's account.
+ * Returns { data: { email, wallets }, error }
+ */
+export async function mergeAccounts(userId, proof, { keepProfile = 'current' } = {}) {
+  try {
+    if (!hasServiceRoleKey) {
+      throw httpError(503, 'Account merging is not configured on this server');
+    }
+
+    let sourceUserId;
+
+    if (proof.email && proof.password) {
+      sourceUserId = await userIdForPassword(proof.email, proof.password);
+    } else if (proof.walletAddress && proof.signature && proof.message) {
+      sourceUserId = await userIdForWallet(proof);
+    } else {
+      throw httpError(400, 'Provide the other account\'s email and password, or a merge message signed by its wallet');
+    }
+
+    if (sourceUserId === userId) {
+      throw httpError(409, 'That login already belongs to your account');
+    }
+
+    const { data: sourceData, error: sourceError } = await supabaseAdmin.auth.admin.getUserById(sourceUserId);
+
+    if (sourceError) throw sourceError;
+
+    const { data: targetData, error: targetError } = await supabaseAdmin.auth.admin.getUserById(userId);
+
+    if (targetError) throw targetError;
+
+    const { error: mergeError } = await supabaseAdmin.rpc('merge_accounts', {
+      source_user_id: sourceUserId,
+      target_user_id: userId,
+      keep_source_profile: keepProfile === 'merged'
+    });
+
+    if (mergeError) {
+      throw mergeError.code === 'P0001' ? httpError(409, mergeError.message) : mergeError;
+    }
+
+    // Deleting the user cascades to its profile and whatever the merge left behind
+    const { error: deleteError } = await supabaseAdmin.auth.admin.deleteUser(sourceUserId);
+
+    if (deleteError) throw deleteError;
+
+    const sourceEmail = sourceData.user.email;
+
+    if (isLoginEmail(sourceEmail) && !isLoginEmail(targetData.user.email)) {
+      // Already confirmed on the merged account. Without its password (a wallet proof),
+      // the user sets a new one through password reset.
+      const { error: emailError } = await supabaseAdmin.auth.admin.updateUserById(userId, {
+        email: sourceEmail,
+        email_confirm: true,
+        ...(proof.password ? { password: proof.password } : {})
+      });
+
+      if (emailError) throw emailError;
+    }
+
+    return await getLogins(userId);
+  } catch (error) {
+    if (!error.status) console.error('Merge accounts error:', error);
+    return { data: null, error };
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Auth Middleware
+ * Authenticates API requests from an `Authorization: Bearer <token>` header, accepting
+ * either a wallet access token or a Supabase access token, and attaches the caller as
+ * `req.user`:
+ *
+ *   { id, role, authMethod: 'wallet' | 'supabase', walletAddress, sessionId, email }
+ *
+ * walletAddress is set for wallet tokens and email for Supabase tokens. sessionId is the
+ * wallet session (`auth_sessions`) for wallet tokens and the Supabase session for
+ * Supabase tokens.
+ * Roles come from the Supabase user's app_metadata.role (settable only with the service
+ * role key) and default to `user`.
+ */
+
+import { supabase } from './supabase.js';
+import { verifyAccessToken, roleOf, supabaseSessionIdOf } from './token-service.js';
+
+function sendAuthError(res, status, message) {
+  return res.status(status).json({ error: message });
+}
+
+function bearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Resolves a Bearer token to the caller, or null if it is not a valid token
+ */
+export async function authenticateToken(token) {
+  const { data: claims } = await verifyAccessToken(token);
+
+  if (claims) {
+    return {
+      id: claims.userId,
+      role: claims.role || roleOf(null),
+      authMethod: 'wallet',
+      walletAddress: claims.walletAddress,
+      sessionId: claims.sid,
+      email: null
+    };
+  }
+
+  // Not an active wallet token; fall through to Supabase
+  const { data, error } = await supabase.auth.getUser(token);
+
+  if (error || !data.user) {
+    return null;
+  }
+
+  return {
+    id: data.user.id,
+    role: roleOf(data.user),
+    authMethod: 'supabase',
+    walletAddress: null,
+    sessionId: supabaseSessionIdOf(token),
+    email: data.user.email
+  };
+}
+
+/**
+ * Rejects the request with 401 unless it carries a valid Bearer token
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const token = bearerToken(req);
+
+    if (!token) {
+      return sendAuthError(res, 401, 'Authentication required');
+    }
+
+    const user = await authenticateToken(token);
+
+    if (!user) {
+      return sendAuthError(res, 401, 'Invalid or expired token');
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Attaches req.user when the request carries a valid Bearer token, and otherwise
+ * continues without one
+ */
+export async function optionalAuth(req, res, next) {
+  try {
+    const token = bearerToken(req);
+
+    req.user = token ? await authenticateToken(token) : null;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Rejects the request with 403 unless the authenticated caller has one of the roles.
+ * Use after requireAuth.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendAuthError(res, 401, 'Authentication required');
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return sendAuthError(res, 403, 'Insufficient permissions');
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Job Scheduler
+ * Runs recurring background jobs inside the API process. Every instance schedules every
+ * job, but a job only runs after claiming its lease in `scheduled_jobs` (claim_job), so
+ * with several instances each job still runs once per interval. If an instance dies
+ * mid-run, the lease expires and another instance picks the job up.
+ *
+ * A job is { name, intervalMs, leaseMs?, run }. run() resolves to a JSON-serializable
+ * summary of what it did, which is logged and stored as the job's last result.
+ */
+
+import os from 'os';
+import { supabaseAdmin } from './supabase.js';
+
+// How often each instance checks whether a job is due
+const MAX_TICK_MS = 60 * 1000;
+const START_JITTER_MS = 5 * 1000;
+
+export class JobScheduler {
+  constructor({ instanceId = `${os.hostname()}:${process.pid}` } = {}) {
+    this.instanceId = instanceId;
+    this.jobs = [];
+    this.timers = [];
+  }
+
+  register(job) {
+    this.jobs.push({ leaseMs: job.intervalMs, ...job, running: false });
+    return this;
+  }
+
+  start() {
+    this.jobs.forEach(job => {
+      const tick = () => this.runIfDue(job);
+      const startTimer = setTimeout(() => {
+        tick();
+        const interval = setInterval(tick, Math.min(job.intervalMs, MAX_TICK_MS));
+        interval.unref();
+        this.timers.push(interval);
+      }, Math.random() * START_JITTER_MS);
+
+      startTimer.unref();
+      this.timers.push(startTimer);
+    });
+
+    console.log(`[jobs] Scheduler started on ${this.instanceId}: ${this.jobs.map(job => job.name).join(', ')}`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Runs the job if it is due and no other instance holds its lease.
+   * Returns the run's summary, or null if the job was not run.
+   */
+  async runIfDue(job) {
+    if (job.running) return null;
+    job.running = true;
+
+    try {
+      const { data: claimed, error: claimError } = await supabaseAdmin.rpc('claim_job', {
+        job_name: job.name,
+        instance_id: this.instanceId,
+        lease_seconds: Math.ceil(job.leaseMs / 1000),
+        interval_seconds: Math.floor(job.intervalMs / 1000)
+      });
+
+      if (claimError) {
+        console.error(`[jobs] ${job.name} could not be claimed:`, claimError.message);
+        return null;
+      }
+
+      if (!claimed) return null;
+
+      return await this.execute(job);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  async execute(job) {
+    const startedAt = Date.now();
+    let result = null;
+    let failure = null;
+
+    try {
+      result = await job.run();
+      console.log(`[jobs] ${job.name} succeeded in ${Date.now() - startedAt}ms:`, JSON.stringify(result));
+    } catch (error) {
+      failure = error;
+      console.error(`[jobs] ${job.name} failed after ${Date.now() - startedAt}ms:`, error);
+    }
+
+    const { error: finishError } = await supabaseAdmin.rpc('finish_job', {
+      job_name: job.name,
+      instance_id: this.instanceId,
+      succeeded: !failure,
+      result,
+      error_message: failure ? failure.message || String(failure) : null
+    });
+
+    if (finishError) {
+      console.error(`[jobs] ${job.name} outcome could not be recorded:`, finishError.message);
+    }
+
+    return result;
+  }
+}
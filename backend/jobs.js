@@ -0,0 +1,40 @@
+/**
+ * Background Jobs
+ * Recurring maintenance run by the job scheduler (see job-scheduler.js).
+ * Each run resolves to a summary of what it did.
+ */
+
+import { supabaseAdmin } from './supabase.js';
+import { recomputeMatchScores } from './matching-service.js';
+
+const MINUTE_MS = 60 * 1000;
+
+async function cleanupNonces() {
+  const { data: deleted, error } = await supabaseAdmin.rpc('cleanup_expired_nonces');
+
+  if (error) throw error;
+
+  return { deleted };
+}
+
+async function pruneSessions() {
+  const { data: deleted, error } = await supabaseAdmin.rpc('prune_auth_sessions');
+
+  if (error) throw error;
+
+  return { deleted };
+}
+
+async function recomputeScores() {
+  const { data, error } = await recomputeMatchScores();
+
+  if (error) throw error;
+
+  return data;
+}
+
+export const JOBS = [
+  { name: 'cleanup-nonces', intervalMs: 15 * MINUTE_MS, run: cleanupNonces },
+  { name: 'prune-sessions', intervalMs: 60 * MINUTE_MS, run: pruneSessions },
+  { name: 'recompute-match-scores', intervalMs: 6 * 60 * MINUTE_MS, leaseMs: 30 * MINUTE_MS, run: recomputeScores }
+];
@@ -0,0 +1,750 @@
+/**
+ * Matching Service
+ * Server-side discovery, likes, passes and match listing.
+ * Scoring is shared with the browser through DilseMatchify_frontend/js/compatibility.js.
+ */
+
+import { supabaseAdmin, hasServiceRoleKey } from './supabase.js';
+import {
+  EDUCATION_LEVELS,
+  calculateCompatibility,
+  evaluatePreferences,
+  isStrictPreference,
+  hasPreferredLocation,
+  defaultInterestedIn,
+  dateYearsAgo,
+  LOCATION_RADIUS_KM
+} from '../DilseMatchify_frontend/js/compatibility.js';
+import { resolveLocation, hasCoordinates, distanceKm, boundingBox } from '../DilseMatchify_frontend/js/gazetteer.js';
+import { canViewProfile, canContact, contactRefusalMessage } from '../DilseMatchify_frontend/js/visibility.js';
+
+export const PASS_COOLDOWN_DAYS = 30;
+
+const CANDIDATE_BATCH_SIZE = 1000;
+// Each batch loads up to twice as many profiles by ID, which must fit in one request URL
+const MATCH_SCORE_BATCH_SIZE = 100;
+const RANKING_CACHE_TTL_MS = 60 * 1000;
+const RANKING_CACHE_MAX_ENTRIES = 500;
+const SCORING_COLUMNS = 'id, date_of_birth, height, religion, education, city, state, latitude, longitude, ' +
+  'marital_status, interests, dietary_preferences, partner_preferences(*)';
+const PUBLIC_PROFILE_COLUMNS = 'id, first_name, last_name, date_of_birth, gender_identity, city, state, country, ' +
+  'religion, mother_tongue, education, occupation, height, marital_status, dietary_preferences, about_me, ' +
+  'looking_for, interests, profile_photo_url, additional_photos';
+
+const rankingCache = new Map();
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A 400 for something the user has to add to their profile before discovery works, in
+// the shape of validate()'s field errors so the browser can send them to their profile
+function profileFieldError(field, message) {
+  const error = httpError(400, message);
+  error.fields = [{ location: 'profile', field, message }];
+  return error;
+}
+
+// Without the service role key supabaseAdmin is the anon client, which RLS shows nothing
+// to, so discovery and likes would quietly come back empty
+function requireServiceRole() {
+  if (!hasServiceRoleKey) {
+    throw httpError(503, 'Matching is not configured on this server');
+  }
+}
+
+/**
+ * Discovery feed. Ranks the whole candidate pool by reciprocal compatibility and returns one page.
+ *
+ * filters: { minAge, maxAge, heights, educations, motherTongues, maritalStatuses, diets }
+ * Pass the returned nextCursor back as `cursor` to fetch the following page.
+ */
+export async function findMatches(userId, { limit = 10, filters = {}, cursor = null, passCooldownDays = PASS_COOLDOWN_DAYS } = {}) {
+  try {
+    requireServiceRole();
+
+    const { data: myProfile, error: profileError } = await loadProfile(userId);
+
+    if (profileError) throw profileError;
+
+    const position = decodeCursor(cursor);
+    const cacheKey = JSON.stringify({ userId, filters, passCooldownDays, updatedAt: myProfile.updated_at });
+    const cached = rankingCache.get(cacheKey);
+    let ranked;
+
+    if (cursor && cached && Date.now() - cached.rankedAt < RANKING_CACHE_TTL_MS) {
+      ranked = cached.ranked;
+    } else {
+      const { data: candidates, error: candidatesError } = await fetchCandidatePool(myProfile, filters, passCooldownDays);
+
+      if (candidatesError) throw candidatesError;
+
+      ranked = rankCandidates(myProfile, candidates);
+      cacheRanking(cacheKey, ranked);
+    }
+
+    const startIndex = position
+      ? ranked.findIndex(entry => compareRanked(entry, position) > 0)
+      : 0;
+    const page = startIndex === -1 ? [] : ranked.slice(startIndex, startIndex + limit);
+
+    if (page.length === 0) {
+      return { data: [], error: null, nextCursor: null };
+    }
+
+    const { data: pageProfiles, error } = await supabaseAdmin
+      .from('profiles')
+      .select(PUBLIC_PROFILE_COLUMNS)
+      .in('id', page.map(entry => entry.id));
+
+    if (error) throw error;
+
+    const { data: pageSettings, error: settingsError } = await supabaseAdmin
+      .from('user_settings')
+      .select('user_id, show_distance, show_age')
+      .in('user_id', page.map(entry => entry.id));
+
+    if (settingsError) throw settingsError;
+
+    const settingsById = new Map(pageSettings.map(settings => [settings.user_id, settings]));
+    const profilesById = new Map(pageProfiles.map(profile => [
+      profile.id,
+      applyDisplaySettings(profile, settingsById.get(profile.id))
+    ]));
+    const matchesWithScores = page
+      .filter(entry => profilesById.has(entry.id))
+      .map(entry => ({
+        ...profilesById.get(entry.id),
+        distance_km: hidesDistance(settingsById.get(entry.id)) ? null : entry.distance_km,
+        compatibility_score: entry.compatibility_score,
+        compatibility_breakdown: entry.compatibility_breakdown,
+        preference_matches: entry.preference_matches
+      }));
+
+    const hasMore = startIndex + limit < ranked.length;
+
+    return {
+      data: matchesWithScores,
+      error: null,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    };
+  } catch (error) {
+    console.error('Find matches error:', error);
+    return { data: null, error, nextCursor: null };
+  }
+}
+
+export async function sendLike(userId, toUserId) {
+  try {
+    requireServiceRole();
+
+    const { error: targetError } = await loadContactableTarget(userId, toUserId);
+
+    if (targetError) throw targetError;
+
+    const { data: existingLike } = await supabaseAdmin
+      .from('likes')
+      .select('id')
+      .eq('from_user_id', userId)
+      .eq('to_user_id', toUserId)
+      .maybeSingle();
+
+    if (existingLike) {
+      return { data: existingLike, error: null, message: 'Already liked' };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('likes')
+      .insert([{
+        from_user_id: userId,
+        to_user_id: toUserId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: reciprocalLike } = await supabaseAdmin
+      .from('likes')
+      .select('id')
+      .eq('from_user_id', toUserId)
+      .eq('to_user_id', userId)
+      .maybeSingle();
+
+    if (reciprocalLike) {
+      const { data: match, error: matchError } = await createMatch(userId, toUserId);
+
+      if (matchError) throw matchError;
+
+      return { data, match, error: null, message: 'It\'s a match!' };
+    }
+
+    return { data, error: null, message: 'Like sent' };
+  } catch (error) {
+    console.error('Send like error:', error);
+    return { data: null, error };
+  }
+}
+
+export async function passProfile(userId, toUserId) {
+  try {
+    requireServiceRole();
+
+    if (userId === toUserId) {
+      throw httpError(400, 'You cannot pass on yourself');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('passes')
+      .upsert([{
+        from_user_id: userId,
+        to_user_id: toUserId,
+        created_at: new Date().toISOString()
+      }], { onConflict: 'from_user_id,to_user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Pass profile error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Creates both mirrored rows of a mutual match with the reciprocal compatibility score.
+ * Returns the row owned by userId1.
+ */
+export async function createMatch(userId1, userId2) {
+  try {
+    const { data: profiles, error: profilesError } = await supabaseAdmin
+      .from('profiles')
+      .select('*, partner_preferences(*)')
+      .in('id', [userId1, userId2]);
+
+    if (profilesError) throw profilesError;
+
+    const profile1 = profiles.find(profile => profile.id === userId1);
+    const profile2 = profiles.find(profile => profile.id === userId2);
+
+    if (!profile1 || !profile2) {
+      throw httpError(404, 'Profile not found');
+    }
+
+    const { data: likes, error: likesError } = await supabaseAdmin
+      .from('likes')
+      .select('from_user_id, to_user_id, created_at')
+      .or(`and(from_user_id.eq.${userId1},to_user_id.eq.${userId2}),and(from_user_id.eq.${userId2},to_user_id.eq.${userId1})`);
+
+    if (likesError) throw likesError;
+
+    if (likes.length < 2) {
+      throw httpError(409, 'A match requires likes from both users');
+    }
+
+    const score = calculateCompatibility(profile1, profile2).score;
+    const matchedAt = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from('matches')
+      .upsert(likes.map(like => ({
+        user_id: like.from_user_id,
+        matched_user_id: like.to_user_id,
+        compatibility_score: score,
+        status: 'accepted',
+        liked_at: like.created_at,
+        matched_at: matchedAt
+      })), { onConflict: 'user_id,matched_user_id' })
+      .select();
+
+    if (error) throw error;
+
+    return { data: data.find(match => match.user_id === userId1) || null, error: null };
+  } catch (error) {
+    console.error('Create match error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Recomputes the stored score of every accepted match, so scores follow profile and
+ * preference edits. Only one row of each mirrored pair is updated; the mirror trigger
+ * keeps the other in step.
+ * Returns { data: { checked, updated }, error }
+ */
+export async function recomputeMatchScores({ batchSize = MATCH_SCORE_BATCH_SIZE } = {}) {
+  try {
+    let checked = 0;
+    let updated = 0;
+
+    for (let from = 0; ; from += batchSize) {
+      const { data: matches, error } = await supabaseAdmin
+        .from('matches')
+        .select('id, user_id, matched_user_id, compatibility_score')
+        .eq('status', 'accepted')
+        .order('id', { ascending: true })
+        .range(from, from + batchSize - 1);
+
+      if (error) throw error;
+
+      const pairs = matches.filter(match => match.user_id < match.matched_user_id);
+      const profileIds = [...new Set(pairs.flatMap(match => [match.user_id, match.matched_user_id]))];
+
+      if (profileIds.length > 0) {
+        const { data: profiles, error: profilesError } = await supabaseAdmin
+          .from('profiles')
+          .select('*, partner_preferences(*)')
+          .in('id', profileIds);
+
+        if (profilesError) throw profilesError;
+
+        const profilesById = new Map(profiles.map(profile => [profile.id, profile]));
+
+        for (const match of pairs) {
+          const profile1 = profilesById.get(match.user_id);
+          const profile2 = profilesById.get(match.matched_user_id);
+
+          if (!profile1 || !profile2) continue;
+
+          checked++;
+
+          const score = calculateCompatibility(profile1, profile2).score;
+
+          if (score === match.compatibility_score) continue;
+
+          const { error: updateError } = await supabaseAdmin
+            .from('matches')
+            .update({ compatibility_score: score })
+            .eq('id', match.id);
+
+          if (updateError) throw updateError;
+
+          updated++;
+        }
+      }
+
+      if (matches.length < batchSize) break;
+    }
+
+    return { data: { checked, updated }, error: null };
+  } catch (error) {
+    console.error('Recompute match scores error:', error);
+    return { data: null, error };
+  }
+}
+
+export async function getMyMatches(userId) {
+  try {
+    requireServiceRole();
+
+    const { data, error } = await supabaseAdmin
+      .from('matches')
+      .select(`
+        *,
+        matched_profile:matched_user_id (${PUBLIC_PROFILE_COLUMNS}, profile_visibility)
+      `)
+      .eq('user_id', userId)
+      .eq('status', 'accepted')
+      .order('matched_at', { ascending: false });
+
+    if (error) throw error;
+
+    // Matches can see each other's profiles unless the other person has hidden theirs
+    const matches = data.map(match => {
+      if (!match.matched_profile) return match;
+
+      const { profile_visibility: visibility, ...matchedProfile } = match.matched_profile;
+
+      return {
+        ...match,
+        matched_profile: canViewProfile(visibility, { isMatched: true }) ? matchedProfile : null
+      };
+    });
+
+    return { data: matches, error: null };
+  } catch (error) {
+    console.error('Get matches error:', error);
+    return { data: null, error };
+  }
+}
+
+async function loadProfile(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .select('*, partner_preferences(*)')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) return { data: null, error };
+  if (!data) return { data: null, error: httpError(404, 'Profile not found') };
+
+  return { data, error: null };
+}
+
+/**
+ * Loads the profile a user wants to like, applying the owner's visibility and contact
+ * preference. Profiles the user may not see are reported as not found.
+ */
+async function loadContactableTarget(userId, targetId) {
+  if (userId === targetId) {
+    return { data: null, error: httpError(400, 'You cannot like yourself') };
+  }
+
+  const { data: blockedIds, error: blocksError } = await getBlockedIds(userId);
+
+  if (blocksError) return { data: null, error: blocksError };
+
+  const { data: target, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, profile_visibility, contact_preference')
+    .eq('id', targetId)
+    .maybeSingle();
+
+  if (error) return { data: null, error };
+
+  if (!target) {
+    return { data: null, error: httpError(404, 'Profile not found') };
+  }
+
+  const { data: match, error: matchError } = await supabaseAdmin
+    .from('matches')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('matched_user_id', targetId)
+    .eq('status', 'accepted')
+    .maybeSingle();
+
+  if (matchError) return { data: null, error: matchError };
+
+  const { data: targetLike, error: likeError } = await supabaseAdmin
+    .from('likes')
+    .select('id')
+    .eq('from_user_id', targetId)
+    .eq('to_user_id', userId)
+    .maybeSingle();
+
+  if (likeError) return { data: null, error: likeError };
+
+  const relationship = {
+    isBlocked: blockedIds.includes(targetId),
+    isMatched: !!match,
+    ownerLikedViewer: !!targetLike
+  };
+
+  if (!canViewProfile(target.profile_visibility, relationship)) {
+    return { data: null, error: httpError(404, 'Profile not found') };
+  }
+
+  if (target.contact_preference === 'verified-only') {
+    const { data: verified, error: verifiedError } = await supabaseAdmin
+      .rpc('is_user_verified', { target_user_id: userId });
+
+    if (verifiedError) return { data: null, error: verifiedError };
+
+    relationship.senderVerified = verified === true;
+  }
+
+  if (!canContact(target, relationship)) {
+    return { data: null, error: httpError(403, contactRefusalMessage(target.contact_preference)) };
+  }
+
+  return { data: target, error: null };
+}
+
+/**
+ * Hides what a user chose not to show on their profile.
+ */
+function applyDisplaySettings(profile, settings) {
+  if (settings && settings.show_age === false) {
+    return { ...profile, date_of_birth: null };
+  }
+  return profile;
+}
+
+function hidesDistance(settings) {
+  return !!settings && settings.show_distance === false;
+}
+
+function rankCandidates(myProfile, candidates) {
+  return candidates
+    .map(candidate => {
+      const { score, breakdown } = calculateCompatibility(myProfile, candidate);
+      return {
+        id: candidate.id,
+        distance_km: hasCoordinates(myProfile) && hasCoordinates(candidate)
+          ? Math.round(distanceKm(myProfile, candidate))
+          : null,
+        compatibility_score: score,
+        compatibility_breakdown: breakdown,
+        preference_matches: evaluatePreferences(myProfile, candidate)
+      };
+    })
+    .filter(entry => !entry.preference_matches.missed.some(key =>
+      isStrictPreference(myProfile.partner_preferences, key)
+    ))
+    .sort(compareRanked);
+}
+
+function cacheRanking(key, ranked) {
+  if (rankingCache.size >= RANKING_CACHE_MAX_ENTRIES) {
+    rankingCache.delete(rankingCache.keys().next().value);
+  }
+  rankingCache.set(key, { rankedAt: Date.now(), ranked });
+}
+
+async function fetchCandidatePool(myProfile, filters, passCooldownDays) {
+  const { data: passedIds, error: passesError } = await getRecentlyPassedIds(myProfile.id, passCooldownDays);
+
+  if (passesError) return { data: null, error: passesError };
+
+  const { data: blockedIds, error: blocksError } = await getBlockedIds(myProfile.id);
+
+  if (blocksError) return { data: null, error: blocksError };
+
+  const excludedIds = [...new Set([...passedIds, ...blockedIds])];
+
+  const { data: likerIds, error: likersError } = await getLikerIds(myProfile.id);
+
+  if (likersError) return { data: null, error: likersError };
+
+  // Incognito profiles are only discoverable by people they have liked
+  const visibilityFilter = likerIds.length > 0
+    ? `profile_visibility.eq.public,and(profile_visibility.eq.incognito,id.in.(${likerIds.join(',')}))`
+    : 'profile_visibility.eq.public';
+
+  const myIdentity = myProfile.gender_identity;
+
+  if (!myIdentity) {
+    return { data: null, error: profileFieldError('gender', 'Set your gender identity in your profile to use discovery') };
+  }
+
+  const interestedIn = (myProfile.partner_preferences && myProfile.partner_preferences.interested_in) ||
+    defaultInterestedIn(myIdentity);
+
+  if (interestedIn.length === 0) {
+    return { data: [], error: null };
+  }
+
+  if (isStrictPreference(myProfile.partner_preferences, 'distance') &&
+      myProfile.partner_preferences.max_distance_km && !hasCoordinates(myProfile)) {
+    return { data: null, error: profileFieldError('city', 'Add a recognised city to your profile to filter by distance') };
+  }
+
+  const buildQuery = () => {
+    let query = supabaseAdmin
+      .from('profiles')
+      .select(`${SCORING_COLUMNS}, interest:partner_preferences!inner(interested_in)`)
+      .neq('id', myProfile.id)
+      .or(visibilityFilter)
+      .in('gender_identity', interestedIn)
+      .contains('interest.interested_in', [myIdentity]);
+
+    if (excludedIds.length > 0) {
+      query = query.not('id', 'in', `(${excludedIds.join(',')})`);
+    }
+
+    query = applyStrictPreferences(query, myProfile);
+
+    return applyDiscoveryFilters(query, filters);
+  };
+
+  const candidates = [];
+
+  for (let from = 0; ; from += CANDIDATE_BATCH_SIZE) {
+    const { data, error } = await buildQuery()
+      .order('id', { ascending: true })
+      .range(from, from + CANDIDATE_BATCH_SIZE - 1);
+
+    if (error) return { data: null, error };
+
+    candidates.push(...data);
+
+    if (data.length < CANDIDATE_BATCH_SIZE) break;
+  }
+
+  return { data: candidates, error: null };
+}
+
+function applyStrictPreferences(query, myProfile) {
+  const prefs = myProfile.partner_preferences;
+
+  if (!prefs) return query;
+
+  if (isStrictPreference(prefs, 'age')) {
+    if (prefs.min_age) {
+      query = query.lte('date_of_birth', dateYearsAgo(prefs.min_age));
+    }
+    if (prefs.max_age) {
+      query = query.gt('date_of_birth', dateYearsAgo(prefs.max_age + 1));
+    }
+  }
+
+  if (isStrictPreference(prefs, 'height') && prefs.preferred_height) {
+    query = query.eq('height', prefs.preferred_height);
+  }
+
+  if (isStrictPreference(prefs, 'education') && EDUCATION_LEVELS.includes(prefs.preferred_education)) {
+    query = query.in('education', EDUCATION_LEVELS.slice(EDUCATION_LEVELS.indexOf(prefs.preferred_education)));
+  }
+
+  if (isStrictPreference(prefs, 'religion')) {
+    if (prefs.preferred_religion === 'same') {
+      query = query.eq('religion', myProfile.religion);
+    } else if (prefs.preferred_religion) {
+      query = query.eq('religion', prefs.preferred_religion);
+    }
+  }
+
+  if (isStrictPreference(prefs, 'location') && hasPreferredLocation(prefs)) {
+    const preferred = resolveLocation(prefs.preferred_location, null);
+
+    // Known places are checked by distance or state after ranking; candidates without
+    // coordinates stay in the pool for the text fallback in matchesPreferredLocation
+    if (preferred && preferred.precision === 'city') {
+      query = query.or(`latitude.is.null,${boundingBoxFilter(preferred, LOCATION_RADIUS_KM)}`);
+    } else if (!preferred) {
+      const pattern = filterValue(`%${likePattern(prefs.preferred_location)}%`);
+      query = query.or(`city.ilike.${pattern},state.ilike.${pattern}`);
+    }
+  }
+
+  if (isStrictPreference(prefs, 'distance') && prefs.max_distance_km) {
+    const box = boundingBox(myProfile, prefs.max_distance_km);
+    query = query
+      .gte('latitude', box.minLatitude)
+      .lte('latitude', box.maxLatitude)
+      .gte('longitude', box.minLongitude)
+      .lte('longitude', box.maxLongitude);
+  }
+
+  if (isStrictPreference(prefs, 'marital_status') &&
+      prefs.preferred_marital_status && prefs.preferred_marital_status !== 'any') {
+    query = query.eq('marital_status', prefs.preferred_marital_status);
+  }
+
+  return query;
+}
+
+function boundingBoxFilter(center, radiusKm) {
+  const box = boundingBox(center, radiusKm);
+  return `and(latitude.gte.${box.minLatitude},latitude.lte.${box.maxLatitude},` +
+    `longitude.gte.${box.minLongitude},longitude.lte.${box.maxLongitude})`;
+}
+
+// .or() takes raw PostgREST filter syntax, where commas, dots and parentheses in a value
+// would start new conditions; quoted values are taken literally
+function filterValue(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+// Matches the text itself under (i)like instead of treating % and _ as wildcards
+function likePattern(text) {
+  return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
+function applyDiscoveryFilters(query, filters) {
+  const { minAge, maxAge, heights, educations, motherTongues, maritalStatuses, diets } = filters;
+
+  if (minAge) {
+    query = query.lte('date_of_birth', dateYearsAgo(Number(minAge)));
+  }
+
+  if (maxAge) {
+    query = query.gt('date_of_birth', dateYearsAgo(Number(maxAge) + 1));
+  }
+
+  if (heights && heights.length > 0) {
+    query = query.in('height', heights);
+  }
+
+  if (educations && educations.length > 0) {
+    query = query.in('education', educations);
+  }
+
+  if (motherTongues && motherTongues.length > 0) {
+    query = query.or(motherTongues.map(tongue => `mother_tongue.ilike.${filterValue(likePattern(tongue))}`).join(','));
+  }
+
+  if (maritalStatuses && maritalStatuses.length > 0) {
+    query = query.in('marital_status', maritalStatuses);
+  }
+
+  if (diets && diets.length > 0) {
+    query = query.in('dietary_preferences', diets);
+  }
+
+  return query;
+}
+
+function compareRanked(a, b) {
+  if (a.compatibility_score !== b.compatibility_score) {
+    return b.compatibility_score - a.compatibility_score;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify({ compatibility_score: entry.compatibility_score, id: entry.id }))
+    .toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof position.compatibility_score !== 'number' || typeof position.id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    return position;
+  } catch (error) {
+    throw httpError(400, 'Invalid cursor');
+  }
+}
+
+async function getRecentlyPassedIds(userId, cooldownDays) {
+  if (!cooldownDays || cooldownDays <= 0) {
+    return { data: [], error: null };
+  }
+
+  const cutoff = new Date(Date.now() - cooldownDays * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabaseAdmin
+    .from('passes')
+    .select('to_user_id')
+    .eq('from_user_id', userId)
+    .gte('created_at', cutoff.toISOString());
+
+  if (error) return { data: null, error };
+
+  return { data: data.map(pass => pass.to_user_id), error: null };
+}
+
+async function getLikerIds(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('likes')
+    .select('from_user_id')
+    .eq('to_user_id', userId);
+
+  if (error) return { data: null, error };
+
+  return { data: data.map(like => like.from_user_id), error: null };
+}
+
+async function getBlockedIds(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('blocks')
+    .select('blocker_id, blocked_id')
+    .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+  if (error) return { data: null, error };
+
+  return {
+    data: data.map(block => (block.blocker_id === userId ? block.blocked_id : block.blocker_id)),
+    error: null
+  };
+}
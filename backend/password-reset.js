@@ -0,0 +1,57 @@
+/**
+ * Password Reset
+ * Sends Supabase password reset emails on behalf of the browser, so requests pass through
+ * the API's rate limits. Reset links only ever point at one of our own origins.
+ */
+
+import { supabase } from './supabase.js';
+import { ALLOWED_ORIGINS } from './siwe-auth.js';
+
+const RESET_PAGE_PATH = '/reset-password.html';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function resetRedirect(redirectTo) {
+  try {
+    const url = new URL(redirectTo);
+    if (ALLOWED_ORIGINS.includes(url.origin)) return url.href;
+  } catch (err) {
+    // Missing or malformed; use the default below
+  }
+
+  return `${ALLOWED_ORIGINS[0]}${RESET_PAGE_PATH}`;
+}
+
+/**
+ * Returns { error }. Succeeds whether or not an account exists for the email.
+ */
+export async function requestPasswordReset(email, redirectTo) {
+  try {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      throw httpError(400, 'Invalid email address');
+    }
+
+    const { error } = await supabase.auth.resetPasswordForEmail(email.trim(), {
+      redirectTo: resetRedirect(redirectTo)
+    });
+
+    if (error) {
+      if (error.status === 429) {
+        throw httpError(429, 'Too many password reset requests, please try again later');
+      }
+
+      // Not surfaced to the caller, so the response doesn't reveal whether the account exists
+      console.error('Password reset email error:', error);
+    }
+
+    return { error: null };
+  } catch (error) {
+    if (!error.status) console.error('Request password reset error:', error);
+    return { error };
+  }
+}
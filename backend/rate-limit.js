@@ -0,0 +1,137 @@
+/**
+ * Rate Limiting
+ * Fixed-window request limits for Express routes, keyed per IP, per wallet or per any
+ * other value taken from the request. Counters live in a pluggable store:
+ *
+ *   store.increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *
+ * increment adds one hit to the key's current window (starting a new window of windowMs
+ * if none is open) and returns the hits so far and when the window ends (ms since epoch).
+ * MemoryStore is the default and only works for a single server process; RedisStore
+ * shares counters between instances.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.nextSweepAt = Date.now() + SWEEP_INTERVAL_MS;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+
+    if (now >= this.nextSweepAt) {
+      this.sweep(now);
+    }
+
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep(now) {
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) this.windows.delete(key);
+    });
+    this.nextSweepAt = now + SWEEP_INTERVAL_MS;
+  }
+}
+
+// Increments the counter and sets its expiry on the first hit, atomically
+const REDIS_INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Store backed by Redis, for running several API instances. Takes a connected ioredis
+ * client (or any client with the same `eval(script, numKeys, ...keysAndArgs)` method).
+ */
+export class RedisStore {
+  constructor(client, { prefix = 'rate-limit:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, windowMs) {
+    const [count, ttlMs] = await this.client.eval(REDIS_INCREMENT_SCRIPT, 1, this.prefix + key, windowMs);
+
+    return { count: Number(count), resetAt: Date.now() + Math.max(Number(ttlMs), 0) };
+  }
+
+  async reset(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+/**
+ * Creates middleware allowing at most `max` requests per `windowMs` for each key.
+ *
+ * options: { name, windowMs, max, key: req => string | null, store, message }
+ * Requests whose key is null are not counted. Over the limit, responds 429 with a
+ * Retry-After header. If the store fails, requests are let through and the error logged.
+ */
+export function rateLimit({ name, windowMs, max, key, store, message = 'Too many requests, please try again later' }) {
+  return async (req, res, next) => {
+    let result;
+
+    try {
+      const value = key(req);
+
+      if (value === null || value === undefined || value === '') {
+        return next();
+      }
+
+      result = await store.increment(`${name}:${value}`, windowMs);
+    } catch (error) {
+      console.error(`Rate limit (${name}) error:`, error);
+      return next();
+    }
+
+    const retryAfterSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - result.count, 0)));
+    res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+    if (result.count > max) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ error: message, retryAfter: retryAfterSeconds });
+    }
+
+    next();
+  };
+}
+
+export function byIp(req) {
+  return req.ip;
+}
+
+/**
+ * Keys by a wallet address in the route params or body, case-insensitively
+ */
+export function byWallet(req) {
+  const address = (req.params && req.params.walletAddress) || (req.body && req.body.walletAddress);
+  return typeof address === 'string' ? address.toLowerCase() : null;
+}
+
+export function byEmail(req) {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' ? email.trim().toLowerCase() : null;
+}
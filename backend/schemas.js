@@ -0,0 +1,172 @@
+/**
+ * Request Schemas
+ * Validation schemas for each API route (see validation.js), plus the fields they share.
+ */
+
+import { field } from './validation.js';
+import { GENDER_IDENTITIES } from '../DilseMatchify_frontend/js/compatibility.js';
+
+const SIGNATURE_PATTERN = /^0x[0-9a-fA-F]{130}$/;
+const RESTORE_KEY_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const SIWE_PURPOSES = ['login', 'link', 'merge'];
+
+// Choices offered by signuppage.html
+const GENDERS = ['male', 'female', 'non-binary', 'other', 'prefer-not-to-say'];
+const RELIGIONS = ['hinduism', 'islam', 'christianity', 'sikhism', 'buddhism', 'jainism', 'judaism', 'other', 'no-religion'];
+const EDUCATIONS = ['high-school', 'diploma', 'bachelors', 'masters', 'phd', 'professional', 'other'];
+const INCOMES = ['below-3', '3-5', '5-10', '10-20', '20-50', '50-100', 'above-100'];
+const HEIGHTS = ['below-150', '150-160', '160-170', '170-180', '180-190', 'above-190'];
+const BODY_TYPES = ['slim', 'average', 'athletic', 'curvy', 'heavy'];
+const COMPLEXIONS = ['very-fair', 'fair', 'wheatish', 'wheatish-brown', 'dark'];
+const MARITAL_STATUSES = ['never-married', 'divorced', 'widowed', 'separated', 'awaiting-divorce'];
+const SMOKING_HABITS = ['non-smoker', 'occasional', 'regular', 'trying-to-quit'];
+const DRINKING_HABITS = ['non-drinker', 'social', 'occasional', 'regular'];
+const DIETS = ['vegetarian', 'non-vegetarian', 'vegan', 'jain', 'eggetarian'];
+const PET_PREFERENCES = ['love-pets', 'okay-with-pets', 'no-pets', 'allergic'];
+const INTERESTS = [
+  'reading', 'music', 'movies', 'travel', 'cooking', 'sports', 'fitness', 'dancing',
+  'photography', 'art', 'gardening', 'technology', 'spirituality', 'volunteering', 'gaming'
+];
+const PROFILE_VISIBILITIES = ['public', 'matches-only', 'incognito', 'hidden'];
+const CONTACT_PREFERENCES = ['anyone', 'matches-only', 'verified-only'];
+
+const choice = (values, options) => field.string({ oneOf: values, ...options });
+const optionalText = maxLength => field.string({ optional: true, maxLength });
+
+// Shared fields
+
+export const walletAddressParams = {
+  walletAddress: field.walletAddress()
+};
+
+export const signedMessageBody = {
+  walletAddress: field.walletAddress(),
+  signature: field.string({ pattern: SIGNATURE_PATTERN, message: 'must be a 65-byte hex signature' }),
+  message: field.string({ maxLength: 4096 })
+};
+
+export const refreshToken = field.string({ maxLength: 512 });
+
+export const profileId = field.uuid();
+
+export const paginationQuery = {
+  limit: field.integer({ min: 1, max: 50, default: 10 }),
+  cursor: field.string({ optional: true, maxLength: 512 })
+};
+
+const filterValues = field.list({ optional: true, maxItems: 20, of: field.string({ maxLength: 50 }) });
+
+export const matchFiltersQuery = {
+  minAge: field.integer({ optional: true, min: 18, max: 100 }),
+  maxAge: field.integer({ optional: true, min: 18, max: 100 }),
+  heights: filterValues,
+  educations: filterValues,
+  motherTongues: filterValues,
+  maritalStatuses: filterValues,
+  diets: filterValues
+};
+
+// Routes
+
+export const nonceRequest = {
+  params: walletAddressParams,
+  query: {
+    chainId: field.integer({ min: 1 }),
+    purpose: field.string({ oneOf: SIWE_PURPOSES, default: 'login' })
+  }
+};
+
+export const verifyRequest = { body: signedMessageBody };
+
+export const linkWalletRequest = { body: signedMessageBody };
+
+export const passwordResetRequest = {
+  body: {
+    email: field.email(),
+    redirectTo: field.url({ optional: true })
+  }
+};
+
+export const walletBackupRequest = {
+  body: {
+    walletAddress: field.walletAddress(),
+    restoreKey: field.string({ pattern: RESTORE_KEY_PATTERN, message: 'must be a 32-byte hex key' })
+  }
+};
+
+export const walletRequest = { params: walletAddressParams };
+
+export const refreshRequest = { body: { refreshToken } };
+
+export const logoutRequest = {
+  body: { refreshToken: field.string({ optional: true, maxLength: 512 }) }
+};
+
+export const discoverRequest = {
+  query: { ...paginationQuery, ...matchFiltersQuery }
+};
+
+export const profileActionRequest = {
+  body: { toUserId: profileId }
+};
+
+// Field names match the signup form's input ids, so errors can be shown next to each input
+export const signupRequest = {
+  body: {
+    email: field.email(),
+    password: field.string({ trim: false, minLength: 6, maxLength: 72 }),
+    firstName: field.string({ maxLength: 50 }),
+    lastName: field.string({ maxLength: 50 }),
+    phone: field.phone(),
+    dateOfBirth: field.birthDate({ minAge: 18, maxAge: 100 }),
+    gender: choice(GENDERS),
+    city: field.string({ maxLength: 100 }),
+    state: field.string({ maxLength: 100 }),
+    country: field.string({ maxLength: 100, default: 'India' }),
+    religion: choice(RELIGIONS, { optional: true }),
+    caste: optionalText(100),
+    motherTongue: optionalText(50),
+    education: choice(EDUCATIONS),
+    occupation: field.string({ maxLength: 100 }),
+    company: optionalText(100),
+    income: choice(INCOMES, { optional: true }),
+    height: choice(HEIGHTS, { optional: true }),
+    bodyType: choice(BODY_TYPES, { optional: true }),
+    complexion: choice(COMPLEXIONS, { optional: true }),
+    maritalStatus: choice(MARITAL_STATUSES),
+    smokingHabits: choice(SMOKING_HABITS, { optional: true }),
+    drinkingHabits: choice(DRINKING_HABITS, { optional: true }),
+    dietaryPreferences: choice(DIETS, { optional: true }),
+    petPreference: choice(PET_PREFERENCES, { optional: true }),
+    aboutMe: field.string({ maxLength: 2000 }),
+    lookingFor: optionalText(2000),
+    familyValues: optionalText(2000),
+    interests: field.list({ default: [], maxItems: INTERESTS.length, of: choice(INTERESTS) }),
+    profileVisibility: choice(PROFILE_VISIBILITIES, { default: 'public' }),
+    contactPreference: choice(CONTACT_PREFERENCES, { default: 'anyone' }),
+    emailNotifications: field.boolean({ default: true }),
+
+    // Partner preferences
+    minAge: field.integer({ optional: true, min: 18, max: 100 }),
+    maxAge: field.integer({ optional: true, min: 18, max: 100 }),
+    preferredHeight: choice(HEIGHTS, { optional: true }),
+    preferredEducation: choice(EDUCATIONS, { optional: true }),
+    preferredReligion: choice(['same', ...RELIGIONS], { optional: true }),
+    preferredLocation: optionalText(100),
+    preferredMaritalStatus: choice(['never-married', 'divorced', 'widowed', 'any'], { optional: true }),
+    maxDistance: field.integer({ optional: true, min: 1, max: 5000 }),
+    interestedIn: field.list({ optional: true, maxItems: GENDER_IDENTITIES.length, of: choice(GENDER_IDENTITIES) })
+  }
+};
+
+// Either the other account's email and password, or a merge message signed by its wallet
+export const mergeAccountRequest = {
+  body: {
+    email: field.email({ optional: true }),
+    password: field.string({ optional: true, trim: false, maxLength: 256 }),
+    walletAddress: field.walletAddress({ optional: true }),
+    signature: field.string({ optional: true, pattern: SIGNATURE_PATTERN, message: 'must be a 65-byte hex signature' }),
+    message: field.string({ optional: true, maxLength: 4096 }),
+    keepProfile: field.string({ oneOf: ['current', 'merged'], default: 'current' })
+  }
+};
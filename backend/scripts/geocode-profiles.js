@@ -0,0 +1,64 @@
+/**
+ * Geocode Profiles
+ * Resolves the city/state of every profile to coordinates with the offline gazetteer.
+ * Run after applying the profile coordinates migration, and again after extending the gazetteer:
+ *
+ *   npm run geocode:profiles
+ *
+ * Requires SUPABASE_SERVICE_ROLE_KEY, since it updates every user's profile.
+ */
+
+import { supabaseAdmin } from '../supabase.js';
+import { locationColumns } from '../../DilseMatchify_frontend/js/gazetteer.js';
+
+const BATCH_SIZE = 500;
+
+async function geocodeProfiles() {
+  let resolved = 0;
+  let unresolved = 0;
+
+  for (let from = 0; ; from += BATCH_SIZE) {
+    const { data: profiles, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id, city, state, latitude, longitude, location_precision')
+      .order('id', { ascending: true })
+      .range(from, from + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const profile of profiles) {
+      const columns = locationColumns(profile.city, profile.state);
+
+      if (columns.latitude === null) {
+        unresolved++;
+        if (profile.city || profile.state) {
+          console.warn(`Unresolved location for ${profile.id}: ${profile.city || ''}, ${profile.state || ''}`);
+        }
+      } else {
+        resolved++;
+      }
+
+      const unchanged = columns.latitude === profile.latitude &&
+        columns.longitude === profile.longitude &&
+        columns.location_precision === profile.location_precision;
+
+      if (unchanged) continue;
+
+      const { error: updateError } = await supabaseAdmin
+        .from('profiles')
+        .update(columns)
+        .eq('id', profile.id);
+
+      if (updateError) throw updateError;
+    }
+
+    if (profiles.length < BATCH_SIZE) break;
+  }
+
+  console.log(`Geocoded ${resolved} profiles; ${unresolved} could not be resolved`);
+}
+
+geocodeProfiles().catch(error => {
+  console.error('Geocode profiles error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+/**
+ * Signup Service
+ * Creates email accounts from the signup form. The auth user is created unconfirmed with
+ * the admin API, then the profile, partner preferences and settings are written in one
+ * transaction by create_signup_profile. Only once that commits is the confirmation email
+ * sent. If either step fails the auth user is deleted, so there are never half-created
+ * accounts and nobody gets a confirmation link for an account that does not exist.
+ * Requires SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_URL, SUPABASE_ANON_KEY, supabaseAdmin, hasServiceRoleKey } from './supabase.js';
+import { toGenderIdentity, defaultInterestedIn } from '../DilseMatchify_frontend/js/compatibility.js';
+import { locationColumns } from '../DilseMatchify_frontend/js/gazetteer.js';
+import { isLoginEmail } from './wallet-session.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// A 4xx tied to one form field, in the same shape as validate()'s errors
+function fieldError(status, field, message) {
+  const error = httpError(status, `Invalid request: ${field} ${message}`);
+  error.fields = [{ location: 'body', field, message }];
+  return error;
+}
+
+function profileColumns(form) {
+  return {
+    email: form.email,
+    first_name: form.firstName,
+    last_name: form.lastName,
+    phone: form.phone,
+    date_of_birth: form.dateOfBirth,
+    gender: form.gender,
+    gender_identity: toGenderIdentity(form.gender),
+    city: form.city,
+    state: form.state,
+    country: form.country,
+    ...locationColumns(form.city, form.state),
+    religion: form.religion,
+    caste: form.caste,
+    mother_tongue: form.motherTongue,
+    education: form.education,
+    occupation: form.occupation,
+    company: form.company,
+    income: form.income,
+    height: form.height,
+    body_type: form.bodyType,
+    complexion: form.complexion,
+    marital_status: form.maritalStatus,
+    smoking_habits: form.smokingHabits,
+    drinking_habits: form.drinkingHabits,
+    dietary_preferences: form.dietaryPreferences,
+    pet_preference: form.petPreference,
+    about_me: form.aboutMe,
+    looking_for: form.lookingFor,
+    family_values: form.familyValues,
+    interests: form.interests,
+    profile_visibility: form.profileVisibility,
+    contact_preference: form.contactPreference,
+    email_notifications: form.emailNotifications
+  };
+}
+
+function preferenceColumns(form) {
+  return {
+    min_age: form.minAge,
+    max_age: form.maxAge,
+    preferred_height: form.preferredHeight,
+    preferred_education: form.preferredEducation,
+    preferred_religion: form.preferredReligion,
+    preferred_location: form.preferredLocation,
+    preferred_marital_status: form.preferredMaritalStatus,
+    max_distance_km: form.maxDistance,
+    interested_in: form.interestedIn && form.interestedIn.length > 0
+      ? form.interestedIn
+      : defaultInterestedIn(toGenderIdentity(form.gender))
+  };
+}
+
+/**
+ * Creates the account for a validated signup form (see signupRequest).
+ * Returns { data: { userId }, error }. The user signs in after confirming their email.
+ */
+export async function signUpWithProfile(form) {
+  try {
+    if (form.minAge && form.maxAge && form.minAge > form.maxAge) {
+      throw fieldError(400, 'maxAge', 'must not be below the minimum age');
+    }
+
+    // Taking a wallet's placeholder address would stop that wallet from ever signing in
+    if (!isLoginEmail(form.email)) {
+      throw fieldError(400, 'email', 'cannot be used to sign up');
+    }
+
+    if (!hasServiceRoleKey) {
+      throw httpError(503, 'Signup is not configured on this server');
+    }
+
+    const { data: authData, error: createError } = await supabaseAdmin.auth.admin.createUser({
+      email: form.email,
+      password: form.password,
+      email_confirm: false,
+      user_metadata: { first_name: form.firstName, last_name: form.lastName }
+    });
+
+    if (createError) {
+      if (createError.code === 'email_exists' || createError.code === 'user_already_exists') {
+        throw fieldError(409, 'email', 'is already registered');
+      }
+      if (createError.code === 'weak_password') {
+        throw fieldError(400, 'password', 'is too weak; use a longer mix of letters, numbers and symbols');
+      }
+      throw createError;
+    }
+
+    const userId = authData.user.id;
+
+    const { error: profileError } = await supabaseAdmin.rpc('create_signup_profile', {
+      new_user_id: userId,
+      profile: profileColumns(form),
+      preferences: preferenceColumns(form)
+    });
+
+    if (profileError) {
+      await deleteUnfinishedUser(userId);
+      throw profileError.code === '22023' ? httpError(400, profileError.message) : profileError;
+    }
+
+    // resend stores nothing on the client it is called on, but keep it off the shared one
+    const client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      auth: { autoRefreshToken: false, persistSession: false }
+    });
+
+    const { error: emailError } = await client.auth.resend({ type: 'signup', email: form.email });
+
+    if (emailError) {
+      await deleteUnfinishedUser(userId);
+      throw emailError.status === 429
+        ? httpError(429, 'Too many signups right now, please try again later')
+        : emailError;
+    }
+
+    return { data: { userId }, error: null };
+  } catch (error) {
+    if (!error.status) console.error('Sign up error:', error);
+    return { data: null, error };
+  }
+}
+
+// Deleting the auth user cascades to the profile, preferences and settings
+async function deleteUnfinishedUser(userId) {
+  const { error } = await supabaseAdmin.auth.admin.deleteUser(userId);
+
+  if (error) console.error('Delete user after failed signup error:', error);
+}
@@ -0,0 +1,217 @@
+/**
+ * SIWE Authentication
+ * Issues nonces and verifies signed Sign-In With Ethereum (EIP-4361) messages, both for
+ * logging in and for proving control of a wallet being linked to an account or whose
+ * account is being merged.
+ * Message building, parsing and field checks are shared with the browser through
+ * DilseMatchify_frontend/js/siwe.js.
+ * Nonces are only readable and writable with the service role key.
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { supabaseAdmin, hasServiceRoleKey } from './supabase.js';
+import {
+  SIWE_STATEMENT,
+  SIWE_LINK_STATEMENT,
+  SIWE_MERGE_STATEMENT,
+  SIWE_VERSION,
+  createSiweMessage,
+  parseSiweMessage,
+  validateSiweFields
+} from '../DilseMatchify_frontend/js/siwe.js';
+
+export const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || 'http://localhost:8080,http://127.0.0.1:8080')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Sign-In With Ethereum messages must name one of our own origins and a supported chain
+export const SIWE_CHAIN_IDS = (process.env.SIWE_CHAIN_IDS || '1,137,11155111')
+  .split(',')
+  .map(chainId => Number(chainId.trim()))
+  .filter(chainId => Number.isInteger(chainId) && chainId > 0);
+
+export const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// The statement tells the user what they are signing, so a login signature can't link a wallet
+const PURPOSE_STATEMENTS = {
+  login: SIWE_STATEMENT,
+  link: SIWE_LINK_STATEMENT,
+  merge: SIWE_MERGE_STATEMENT
+};
+
+const SIWE_DOMAINS = ALLOWED_ORIGINS.map(origin => new URL(origin).host);
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function generateNonce() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function purposeStatement(purpose) {
+  if (!PURPOSE_STATEMENTS[purpose]) {
+    throw httpError(400, `Unknown purpose. Expected one of ${Object.keys(PURPOSE_STATEMENTS).join(', ')}`);
+  }
+  return PURPOSE_STATEMENTS[purpose];
+}
+
+/**
+ * Stores a nonce for the wallet and returns the SIWE fields to sign, plus a ready-built
+ * message for the request's origin (or the first allowed origin).
+ * Returns { data: { ...fields, message, expiresAt }, error }
+ */
+export async function createNonce(walletAddress, chainId, { origin = null, purpose = 'login' } = {}) {
+  try {
+    if (!ethers.isAddress(walletAddress)) {
+      throw httpError(400, 'Invalid wallet address');
+    }
+
+    if (!SIWE_CHAIN_IDS.includes(chainId)) {
+      throw httpError(400, `Unsupported chain ID. Supported: ${SIWE_CHAIN_IDS.join(', ')}`);
+    }
+
+    const statement = purposeStatement(purpose);
+
+    if (!hasServiceRoleKey) {
+      throw httpError(503, 'Wallet login is not configured on this server');
+    }
+
+    const checksummedAddress = ethers.getAddress(walletAddress);
+    const nonce = generateNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+
+    const { error } = await supabaseAdmin
+      .from('auth_nonces')
+      .insert([{
+        wallet_address: checksummedAddress,
+        nonce: nonce,
+        chain_id: chainId,
+        created_at: issuedAt.toISOString(),
+        expires_at: expiresAt.toISOString(),
+        used: false
+      }]);
+
+    if (error) {
+      console.error('Error creating nonce:', error);
+      throw httpError(500, 'Failed to generate nonce');
+    }
+
+    const messageOrigin = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+    const fields = {
+      domain: new URL(messageOrigin).host,
+      address: checksummedAddress,
+      statement,
+      uri: messageOrigin,
+      version: SIWE_VERSION,
+      chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    };
+
+    return {
+      data: { ...fields, message: createSiweMessage(fields), expiresAt: expiresAt.toISOString() },
+      error: null
+    };
+  } catch (error) {
+    if (!error.status) console.error('Create nonce error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Verifies a signed SIWE message for the given purpose and consumes its nonce.
+ * Returns { data: checksummed wallet address, error }
+ */
+export async function verifySignedMessage({ walletAddress, signature, message }, { purpose = 'login' } = {}) {
+  try {
+    if (!walletAddress || !signature || !message) {
+      throw httpError(400, 'Missing required fields');
+    }
+
+    if (!ethers.isAddress(walletAddress)) {
+      throw httpError(400, 'Invalid wallet address');
+    }
+
+    const statement = purposeStatement(purpose);
+
+    if (!hasServiceRoleKey) {
+      throw httpError(503, 'Wallet login is not configured on this server');
+    }
+
+    const checksummedAddress = ethers.getAddress(walletAddress);
+
+    let fields;
+    try {
+      fields = parseSiweMessage(message);
+    } catch (err) {
+      throw httpError(400, err.message);
+    }
+
+    // EIP-4361 requires the EIP-55 checksummed form of the address
+    if (!ethers.isAddress(fields.address) || ethers.getAddress(fields.address) !== fields.address) {
+      throw httpError(400, 'Invalid SIWE message: address must be EIP-55 checksummed');
+    }
+
+    const { data: nonceData, error: nonceError } = await supabaseAdmin
+      .from('auth_nonces')
+      .select('*')
+      .eq('nonce', fields.nonce)
+      .eq('wallet_address', checksummedAddress)
+      .eq('used', false)
+      .maybeSingle();
+
+    if (nonceError || !nonceData) {
+      throw httpError(401, 'Invalid or expired nonce');
+    }
+
+    if (new Date(nonceData.expires_at) < new Date()) {
+      throw httpError(401, 'Nonce has expired');
+    }
+
+    const invalidReason = validateSiweFields(fields, {
+      address: checksummedAddress,
+      domains: SIWE_DOMAINS,
+      origins: ALLOWED_ORIGINS,
+      chainId: nonceData.chain_id,
+      nonce: nonceData.nonce,
+      statement,
+      notIssuedBefore: new Date(nonceData.created_at),
+      notExpiringAfter: new Date(nonceData.expires_at)
+    });
+
+    if (invalidReason) {
+      throw httpError(401, invalidReason);
+    }
+
+    let recoveredAddress;
+    try {
+      recoveredAddress = ethers.verifyMessage(message, signature);
+    } catch (err) {
+      throw httpError(401, 'Invalid signature');
+    }
+
+    if (recoveredAddress.toLowerCase() !== checksummedAddress.toLowerCase()) {
+      throw httpError(401, 'Signature does not match wallet address');
+    }
+
+    // Consume the nonce only if no concurrent request already did
+    const { data: consumed, error: consumeError } = await supabaseAdmin
+      .rpc('consume_auth_nonce', { nonce_id: nonceData.id });
+
+    if (consumeError || !consumed) {
+      throw httpError(401, 'Invalid or expired nonce');
+    }
+
+    return { data: checksummedAddress, error: null };
+  } catch (error) {
+    if (!error.status) console.error('Verify signed message error:', error);
+    return { data: null, error };
+  }
+}
@@ -0,0 +1,71 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createMember, asUser } from './support/database.js';
+
+const WALLET_ADDRESS = '0xAbC0000000000000000000000000000000000dEf';
+
+let db;
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+async function createNonce() {
+  const { rows } = await db.query(
+    `INSERT INTO auth_nonces (wallet_address, nonce, chain_id, expires_at)
+     VALUES ($1, md5(random()::text), 1, now() + interval '5 minutes')
+     RETURNING id`,
+    [WALLET_ADDRESS]
+  );
+  return rows[0].id;
+}
+
+async function asServiceRole(fn) {
+  return db.transaction(async tx => {
+    await tx.query('SET LOCAL ROLE service_role');
+    return fn(tx);
+  });
+}
+
+async function isDenied(promise) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    if (error.code === '42501') return true;
+    throw error;
+  }
+}
+
+describe('auth nonces', () => {
+  test('cannot be read, issued or consumed by clients', async () => {
+    const nonceId = await createNonce();
+    const member = await createMember(db);
+
+    for (const userId of [null, member]) {
+      const { rows } = await asUser(db, userId, tx => tx.query('SELECT id FROM auth_nonces'));
+      assert.equal(rows.length, 0);
+
+      assert.equal(await isDenied(asUser(db, userId, tx => tx.query(
+        `INSERT INTO auth_nonces (wallet_address, nonce, chain_id, expires_at)
+         VALUES ($1, 'client-nonce', 1, now() + interval '5 minutes')`,
+        [WALLET_ADDRESS]
+      ))), true);
+
+      assert.equal(await isDenied(asUser(db, userId, tx =>
+        tx.query('SELECT consume_auth_nonce($1)', [nonceId]))), true);
+    }
+
+    const { rows } = await db.query('SELECT used FROM auth_nonces WHERE id = $1', [nonceId]);
+    assert.equal(rows[0].used, false);
+  });
+
+  test('are consumed by the backend exactly once', async () => {
+    const nonceId = await createNonce();
+    const consume = () => asServiceRole(async tx =>
+      (await tx.query('SELECT consume_auth_nonce($1) AS consumed', [nonceId])).rows[0].consumed);
+
+    assert.equal(await consume(), true);
+    assert.equal(await consume(), false);
+  });
+});
@@ -0,0 +1,165 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore, rateLimit, byIp, byWallet, byEmail } from '../rate-limit.js';
+
+const WINDOW_MS = 60 * 1000;
+
+// Just enough of Express's res for the middleware
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function send(limiter, req) {
+  const res = fakeResponse();
+  let passed = false;
+
+  await limiter(req, res, () => {
+    passed = true;
+  });
+
+  return { passed, res };
+}
+
+describe('rateLimit', () => {
+  let now;
+
+  beforeEach(t => {
+    now = Date.parse('2025-11-20T12:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+  });
+
+  test('lets requests through up to max, then responds 429 with Retry-After', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: WINDOW_MS, max: 2, key: byIp, store: new MemoryStore() });
+    const req = { ip: '203.0.113.1' };
+
+    assert.equal((await send(limiter, req)).passed, true);
+
+    now += 15 * 1000;
+    const second = await send(limiter, req);
+    assert.equal(second.passed, true);
+    assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+    now += 15 * 1000;
+    const third = await send(limiter, req);
+    assert.equal(third.passed, false);
+    assert.equal(third.res.statusCode, 429);
+    assert.equal(third.res.headers['Retry-After'], '30');
+    assert.deepEqual(third.res.body, { error: 'Too many requests, please try again later', retryAfter: 30 });
+  });
+
+  test('uses the configured message', async () => {
+    const limiter = rateLimit({
+      name: 'test',
+      windowMs: WINDOW_MS,
+      max: 1,
+      key: byIp,
+      store: new MemoryStore(),
+      message: 'Slow down'
+    });
+    const req = { ip: '203.0.113.1' };
+
+    await send(limiter, req);
+    const { res } = await send(limiter, req);
+
+    assert.equal(res.body.error, 'Slow down');
+  });
+
+  test('starts a new window once the old one ends', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: WINDOW_MS, max: 1, key: byIp, store: new MemoryStore() });
+    const req = { ip: '203.0.113.1' };
+
+    assert.equal((await send(limiter, req)).passed, true);
+    assert.equal((await send(limiter, req)).passed, false);
+
+    now += WINDOW_MS - 1;
+    assert.equal((await send(limiter, req)).passed, false);
+
+    now += 1;
+    const afterReset = await send(limiter, req);
+    assert.equal(afterReset.passed, true);
+    assert.equal(afterReset.res.headers['RateLimit-Remaining'], '0');
+  });
+
+  test('counts each key separately', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: WINDOW_MS, max: 1, key: byIp, store: new MemoryStore() });
+
+    assert.equal((await send(limiter, { ip: '203.0.113.1' })).passed, true);
+    assert.equal((await send(limiter, { ip: '203.0.113.1' })).passed, false);
+    assert.equal((await send(limiter, { ip: '203.0.113.2' })).passed, true);
+  });
+
+  test('counts limiters sharing a store separately', async () => {
+    const store = new MemoryStore();
+    const first = rateLimit({ name: 'first', windowMs: WINDOW_MS, max: 1, key: byIp, store });
+    const second = rateLimit({ name: 'second', windowMs: WINDOW_MS, max: 1, key: byIp, store });
+    const req = { ip: '203.0.113.1' };
+
+    assert.equal((await send(first, req)).passed, true);
+    assert.equal((await send(second, req)).passed, true);
+    assert.equal((await send(first, req)).passed, false);
+  });
+
+  test('does not count requests without a key', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: WINDOW_MS, max: 1, key: byEmail, store: new MemoryStore() });
+
+    for (let i = 0; i < 3; i++) {
+      const { passed, res } = await send(limiter, { body: {} });
+      assert.equal(passed, true);
+      assert.equal(res.headers['RateLimit-Limit'], undefined);
+    }
+  });
+
+  test('lets requests through when the store fails', async t => {
+    t.mock.method(console, 'error', () => {});
+    const store = { increment: async () => { throw new Error('store down'); } };
+    const limiter = rateLimit({ name: 'test', windowMs: WINDOW_MS, max: 1, key: byIp, store });
+
+    assert.equal((await send(limiter, { ip: '203.0.113.1' })).passed, true);
+  });
+});
+
+describe('rate limit keys', () => {
+  test('byIp keys by the client IP', () => {
+    assert.equal(byIp({ ip: '203.0.113.1' }), '203.0.113.1');
+  });
+
+  test('byWallet keys by the wallet address in the params or body, case-insensitively', async () => {
+    const address = '0xAbC0000000000000000000000000000000000dEf';
+
+    assert.equal(byWallet({ params: { walletAddress: address }, body: {} }), address.toLowerCase());
+    assert.equal(byWallet({ params: {}, body: { walletAddress: address } }), address.toLowerCase());
+    assert.equal(byWallet({ params: {}, body: {} }), null);
+
+    const limiter = rateLimit({ name: 'test', windowMs: WINDOW_MS, max: 1, key: byWallet, store: new MemoryStore() });
+
+    assert.equal((await send(limiter, { params: { walletAddress: address }, body: {} })).passed, true);
+    assert.equal((await send(limiter, { params: {}, body: { walletAddress: address.toUpperCase() } })).passed, false);
+  });
+
+  test('byEmail keys by the trimmed, lowercased email in the body', async () => {
+    assert.equal(byEmail({ body: { email: '  Priya@Example.com ' } }), 'priya@example.com');
+    assert.equal(byEmail({ body: { email: 42 } }), null);
+    assert.equal(byEmail({}), null);
+
+    const limiter = rateLimit({ name: 'test', windowMs: WINDOW_MS, max: 1, key: byEmail, store: new MemoryStore() });
+
+    assert.equal((await send(limiter, { body: { email: 'priya@example.com' } })).passed, true);
+    assert.equal((await send(limiter, { body: { email: ' PRIYA@example.com' } })).passed, false);
+  });
+});
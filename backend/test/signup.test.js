@@ -0,0 +1,44 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let signUpWithProfile;
+let walletEmail;
+
+before(async () => {
+  // Without a service role key signup stops with 503 after validating the form, before
+  // any request to Supabase
+  delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  ({ signUpWithProfile } = await import('../signup-service.js'));
+  ({ walletEmail } = await import('../wallet-session.js'));
+});
+
+function signupForm(email) {
+  return {
+    email,
+    password: 'correct horse battery staple',
+    firstName: 'Priya',
+    lastName: 'Sharma',
+    gender: 'Female'
+  };
+}
+
+describe('signUpWithProfile', () => {
+  test('rejects wallet placeholder emails before creating a user', async () => {
+    const placeholder = walletEmail('0xAbC0000000000000000000000000000000000dEf');
+
+    for (const email of [placeholder, placeholder.toUpperCase()]) {
+      const { data, error } = await signUpWithProfile(signupForm(email));
+
+      assert.equal(data, null);
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.fields.map(fieldError => fieldError.field), ['email']);
+    }
+  });
+
+  test('accepts other emails', async () => {
+    const { error } = await signUpWithProfile(signupForm('priya@example.com'));
+
+    assert.equal(error.status, 503);
+  });
+});
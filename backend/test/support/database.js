@@ -0,0 +1,138 @@
+/**
+ * Test Database
+ * An in-process PostgreSQL (PGlite) with every migration in supabase/migrations applied,
+ * on top of the parts of Supabase they rely on: the anon, authenticated and service_role
+ * roles, auth.users, auth.sessions, auth.uid(), storage buckets and objects, and the
+ * realtime publication. Queries run as the postgres superuser unless wrapped in asUser().
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { PGlite } from '@electric-sql/pglite';
+
+const MIGRATIONS_DIR = new URL('../../../supabase/migrations/', import.meta.url);
+
+const SUPABASE_SHIMS = `
+  CREATE ROLE anon NOLOGIN;
+  CREATE ROLE authenticated NOLOGIN;
+  CREATE ROLE service_role NOLOGIN BYPASSRLS;
+
+  CREATE SCHEMA auth;
+
+  CREATE TABLE auth.users (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    email text,
+    email_confirmed_at timestamptz,
+    raw_user_meta_data jsonb DEFAULT '{}'::jsonb,
+    created_at timestamptz DEFAULT now()
+  );
+
+  CREATE TABLE auth.sessions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at timestamptz DEFAULT now()
+  );
+
+  -- The caller's user ID, from the JWT PostgREST would have verified
+  CREATE FUNCTION auth.uid() RETURNS uuid AS $$
+    SELECT nullif(current_setting('request.jwt.claim.sub', true), '')::uuid;
+  $$ LANGUAGE sql STABLE;
+
+  CREATE SCHEMA storage;
+
+  CREATE TABLE storage.buckets (
+    id text PRIMARY KEY,
+    name text NOT NULL,
+    public boolean DEFAULT false,
+    file_size_limit bigint,
+    allowed_mime_types text[]
+  );
+
+  CREATE TABLE storage.objects (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    bucket_id text REFERENCES storage.buckets(id),
+    name text,
+    owner uuid
+  );
+
+  ALTER TABLE storage.objects ENABLE ROW LEVEL SECURITY;
+
+  CREATE FUNCTION storage.foldername(name text) RETURNS text[] AS $$
+    SELECT (string_to_array(name, '/'))[1:array_length(string_to_array(name, '/'), 1) - 1];
+  $$ LANGUAGE sql IMMUTABLE;
+
+  CREATE PUBLICATION supabase_realtime;
+
+  GRANT USAGE ON SCHEMA public, auth, storage TO anon, authenticated, service_role;
+  GRANT SELECT ON ALL TABLES IN SCHEMA auth TO service_role;
+  GRANT ALL ON ALL TABLES IN SCHEMA storage TO anon, authenticated, service_role;
+  ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated, service_role;
+  ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON SEQUENCES TO anon, authenticated, service_role;
+  ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO anon, authenticated, service_role;
+`;
+
+/**
+ * Creates a database with the Supabase shims and every migration applied
+ */
+export async function createTestDatabase() {
+  const db = new PGlite();
+
+  await db.exec(SUPABASE_SHIMS);
+
+  const migrations = (await readdir(MIGRATIONS_DIR)).filter(file => file.endsWith('.sql')).sort();
+
+  for (const file of migrations) {
+    try {
+      await db.exec(await readFile(new URL(file, MIGRATIONS_DIR), 'utf8'));
+    } catch (error) {
+      error.message = `${file}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return db;
+}
+
+/**
+ * Creates an auth user with a profile and partner preferences. profile and preferences
+ * hold extra columns for each. Returns the user ID.
+ */
+export async function createMember(db, { profile = {}, preferences = {} } = {}) {
+  const id = randomUUID();
+  const email = `${id}@example.com`;
+
+  await db.query('INSERT INTO auth.users (id, email, email_confirmed_at) VALUES ($1, $2, now())', [id, email]);
+  await insertRow(db, 'profiles', { id, email, first_name: 'Test', last_name: 'Member', ...profile });
+  await insertRow(db, 'partner_preferences', { user_id: id, ...preferences });
+
+  return id;
+}
+
+async function insertRow(db, table, columns) {
+  const names = Object.keys(columns);
+
+  await db.query(
+    `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})`,
+    Object.values(columns)
+  );
+}
+
+/**
+ * Runs fn(tx) as a signed-in user: role `authenticated` with auth.uid() = userId, so RLS
+ * applies as it would to requests from the browser. Without a userId it runs as `anon`.
+ * Changes are rolled back.
+ */
+export async function asUser(db, userId, fn) {
+  let result;
+
+  await db.transaction(async tx => {
+    await tx.query(userId ? 'SET LOCAL ROLE authenticated' : 'SET LOCAL ROLE anon');
+    await tx.query("SELECT set_config('request.jwt.claim.sub', $1, true)", [userId || '']);
+
+    result = await fn(tx);
+
+    await tx.rollback();
+  });
+
+  return result;
+}
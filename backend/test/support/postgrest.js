@@ -0,0 +1,270 @@
+/**
+ * Test PostgREST
+ * A fetch() that answers supabase-js table reads and RPC calls from a test database, so
+ * backend services can run against the real schema and policies without a Supabase
+ * project. It covers the part of PostgREST the services' read paths use: column and
+ * to-one embedded selects (with `!inner`), the eq, neq, gt, gte, lt, lte, like, ilike,
+ * in, is and cs filters (negated with `not.`, combined with `or=(...)` and `and(...)`),
+ * order, limit and offset, and single-object responses. Anything else fails the request
+ * with 501, so an unsupported call shows up as a test failure rather than a wrong answer.
+ */
+
+const COLUMN_PATTERN = /^[a-z_][a-z0-9_]*$/;
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'columns', 'on_conflict']);
+const COMPARISONS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+
+// To-one embeds the services select: `${table}.${embed}` -> how the embedded row joins
+const RELATIONSHIPS = {
+  'profiles.partner_preferences': { table: 'partner_preferences', column: 'user_id', references: 'id' },
+  'matches.matched_user_id': { table: 'profiles', column: 'id', references: 'matched_user_id' }
+};
+
+class UnsupportedRequest extends Error {}
+
+function unsupported(message) {
+  throw new UnsupportedRequest(message);
+}
+
+function column(name, alias) {
+  if (!COLUMN_PATTERN.test(name)) unsupported(`Unsupported column: ${name}`);
+  return `${alias}."${name}"`;
+}
+
+// Splits on commas outside parentheses and quoted values
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted && char === '\\') {
+      current += char + text[++i];
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current !== '') parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  if (!value.startsWith('"')) return value;
+  return value.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+function listValues(value, open, close) {
+  if (!value.startsWith(open) || !value.endsWith(close)) unsupported(`Malformed list: ${value}`);
+  return splitTopLevel(value.slice(1, -1)).map(unquote);
+}
+
+/**
+ * SQL for one `column=[not.]operator.value` filter on the row aliased `alias`
+ */
+function filterCondition(name, expression, alias, params) {
+  const negated = expression.startsWith('not.');
+  const body = negated ? expression.slice(4) : expression;
+  const dot = body.indexOf('.');
+  const operator = body.slice(0, dot);
+  const value = body.slice(dot + 1);
+  const target = column(name, alias);
+  let condition;
+
+  if (COMPARISONS[operator]) {
+    const text = unquote(value);
+    params.push(operator === 'like' || operator === 'ilike' ? text.replace(/\*/g, '%') : text);
+    condition = `${target} ${COMPARISONS[operator]} $${params.length}`;
+  } else if (operator === 'in') {
+    params.push(listValues(value, '(', ')'));
+    condition = `${target} = ANY($${params.length})`;
+  } else if (operator === 'cs') {
+    params.push(listValues(value, '{', '}'));
+    condition = `${target} @> $${params.length}`;
+  } else if (operator === 'is' && ['null', 'true', 'false'].includes(value)) {
+    condition = `${target} IS ${value.toUpperCase()}`;
+  } else {
+    unsupported(`Unsupported operator: ${operator}`);
+  }
+
+  return negated ? `NOT (${condition})` : condition;
+}
+
+/**
+ * SQL for the items of an or=(...) / and(...) group
+ */
+function logicCondition(items, joiner, alias, params) {
+  const conditions = splitTopLevel(items).map(item => {
+    const group = item.match(/^(not\.)?(and|or)\((.*)\)$/);
+
+    if (group) {
+      const condition = logicCondition(group[3], group[2] === 'and' ? 'AND' : 'OR', alias, params);
+      return group[1] ? `NOT (${condition})` : condition;
+    }
+
+    const dot = item.indexOf('.');
+    return filterCondition(item.slice(0, dot), item.slice(dot + 1), alias, params);
+  });
+
+  return `(${conditions.join(` ${joiner} `)})`;
+}
+
+function parseSelect(select) {
+  return splitTopLevel(select || '*').map(item => {
+    const embed = item.match(/^(?:([a-z_]+):)?([a-z_]+)(!inner)?\((.*)\)$/);
+
+    if (!embed) return { column: item };
+
+    return { alias: embed[1] || embed[2], relation: embed[2], inner: !!embed[3], select: embed[4] };
+  });
+}
+
+/**
+ * A jsonb expression building the selected row, with its embeds
+ */
+function selectExpression(table, items, alias, embedFilters, params, depth = 0) {
+  const parts = items.map(item => {
+    if (item.column === '*') return `to_jsonb(${alias})`;
+    if (item.column) return `jsonb_build_object('${item.column}', ${column(item.column, alias)})`;
+
+    return `jsonb_build_object('${item.alias}', ${embedSubquery(table, item, alias, embedFilters, params, depth)})`;
+  });
+
+  return parts.join(' || ');
+}
+
+function embedSubquery(table, item, alias, embedFilters, params, depth) {
+  const relationship = RELATIONSHIPS[`${table}.${item.relation}`] || unsupported(`Unsupported embed: ${item.relation}`);
+  const embedAlias = `e${depth}`;
+  const conditions = [`${column(relationship.column, embedAlias)} = ${column(relationship.references, alias)}`];
+
+  (embedFilters[item.alias] || []).forEach(([name, expression]) => {
+    conditions.push(filterCondition(name, expression, embedAlias, params));
+  });
+
+  const expression = selectExpression(relationship.table, parseSelect(item.select), embedAlias, {}, params, depth + 1);
+
+  return `(SELECT ${expression} FROM "${relationship.table}" ${embedAlias} WHERE ${conditions.join(' AND ')} LIMIT 1)`;
+}
+
+function readQuery(table, searchParams) {
+  if (!COLUMN_PATTERN.test(table)) unsupported(`Unsupported table: ${table}`);
+
+  const params = [];
+  const conditions = [];
+  const embedFilters = {};
+
+  searchParams.forEach((value, key) => {
+    if (RESERVED_PARAMS.has(key)) return;
+
+    if (key === 'or' || key === 'and') {
+      conditions.push(logicCondition(value.slice(1, -1), key.toUpperCase(), 't', params));
+    } else if (key.includes('.')) {
+      const [embed, name] = key.split('.');
+      (embedFilters[embed] = embedFilters[embed] || []).push([name, value]);
+    } else {
+      conditions.push(filterCondition(key, value, 't', params));
+    }
+  });
+
+  const items = parseSelect(searchParams.get('select'));
+  const expression = selectExpression(table, items, 't', embedFilters, params);
+
+  // !inner embeds drop rows without a (matching) embedded row
+  items.filter(item => item.inner).forEach(item => {
+    conditions.push(`${embedSubquery(table, item, 't', embedFilters, params, 0)} IS NOT NULL`);
+  });
+
+  let sql = `SELECT ${expression} AS row FROM "${table}" t`;
+
+  if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;
+
+  if (searchParams.get('order')) {
+    sql += ' ORDER BY ' + searchParams.get('order').split(',').map(term => {
+      const [name, direction = 'asc'] = term.split('.');
+      return `${column(name, 't')} ${direction === 'desc' ? 'DESC' : 'ASC'}`;
+    }).join(', ');
+  }
+
+  if (searchParams.get('limit')) sql += ` LIMIT ${Number(searchParams.get('limit'))}`;
+  if (searchParams.get('offset')) sql += ` OFFSET ${Number(searchParams.get('offset'))}`;
+
+  return { sql, params };
+}
+
+function rpcQuery(name, args) {
+  if (!COLUMN_PATTERN.test(name)) unsupported(`Unsupported function: ${name}`);
+
+  const names = Object.keys(args);
+  names.forEach(arg => column(arg, 'x'));
+
+  return {
+    sql: `SELECT to_jsonb(${name}(${names.map((arg, i) => `${arg} => $${i + 1}`).join(', ')})) AS row`,
+    params: Object.values(args)
+  };
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Creates a fetch for requests to baseUrl, running them on db as `role` (e.g.
+ * service_role for the backend's supabaseAdmin). Other URLs go to fallbackFetch.
+ */
+export function createPostgrestFetch(db, { baseUrl, role, fallbackFetch = fetch }) {
+  return async (input, init = {}) => {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+
+    if (!request.url.startsWith(baseUrl)) {
+      return fallbackFetch(input, init);
+    }
+
+    const path = url.pathname.replace(/^\/rest\/v1\//, '');
+
+    try {
+      let query;
+
+      if (request.method === 'GET' && !path.startsWith('rpc/')) {
+        query = readQuery(path, url.searchParams);
+      } else if (request.method === 'POST' && path.startsWith('rpc/')) {
+        query = rpcQuery(path.slice(4), await request.json());
+      } else {
+        unsupported(`Unsupported request: ${request.method} ${url.pathname}`);
+      }
+
+      const rows = await db.transaction(async tx => {
+        await tx.query(`SET LOCAL ROLE ${role}`);
+        return (await tx.query(query.sql, query.params)).rows.map(result => result.row);
+      });
+
+      if (path.startsWith('rpc/')) {
+        return jsonResponse(200, rows[0]);
+      }
+
+      if (request.headers.get('Accept') === 'application/vnd.pgrst.object+json') {
+        return rows.length === 1
+          ? jsonResponse(200, rows[0])
+          : jsonResponse(406, { code: 'PGRST116', message: `Expected 1 row, got ${rows.length}` });
+      }
+
+      return jsonResponse(200, rows);
+    } catch (error) {
+      return error instanceof UnsupportedRequest
+        ? jsonResponse(501, { code: 'TEST501', message: error.message })
+        : jsonResponse(400, { code: error.code, message: error.message });
+    }
+  };
+}
@@ -0,0 +1,347 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { createTestDatabase, createMember, asUser } from './support/database.js';
+import { createPostgrestFetch } from './support/postgrest.js';
+import { PROFILE_VISIBILITY_MODES, canViewProfile } from '../../DilseMatchify_frontend/js/visibility.js';
+
+const POSTGREST_URL = 'http://postgrest.test';
+
+let db;
+let findMatches;
+
+before(async () => {
+  db = await createTestDatabase();
+
+  // supabase.js builds supabaseAdmin on import, from the environment and the global fetch
+  process.env.VITE_SUPABASE_URL = POSTGREST_URL;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+  globalThis.fetch = createPostgrestFetch(db, { baseUrl: POSTGREST_URL, role: 'service_role', fallbackFetch: fetch });
+
+  ({ findMatches } = await import('../matching-service.js'));
+});
+
+// Viewers are men looking for women, owners women looking for men, so discovery pairs them
+function createViewer() {
+  return createMember(db, {
+    profile: { gender: 'Male', gender_identity: 'male' },
+    preferences: { interested_in: ['female'] }
+  });
+}
+
+function createOwner(visibility) {
+  return createMember(db, {
+    profile: { gender: 'Female', gender_identity: 'female', profile_visibility: visibility },
+    preferences: { interested_in: ['male'] }
+  });
+}
+
+// A member as a wallet login creates them: no gender yet, and default preferences
+async function createWalletMember() {
+  const id = randomUUID();
+  const email = `0x${id.replace(/-/g, '').slice(0, 8)}@wallet.dilsematchify.com`;
+
+  await db.query('INSERT INTO auth.users (id, email, email_confirmed_at) VALUES ($1, $2, now())', [id, email]);
+  await db.transaction(async tx => {
+    await tx.query('SET LOCAL ROLE service_role');
+    await tx.query(
+      'SELECT create_signup_profile($1, $2, \'{}\')',
+      [id, { email, first_name: 'User', last_name: 'Wallet' }]
+    );
+  });
+
+  return id;
+}
+
+async function like(fromUserId, toUserId) {
+  await db.query('INSERT INTO likes (from_user_id, to_user_id) VALUES ($1, $2)', [fromUserId, toUserId]);
+}
+
+async function match(userId, otherUserId) {
+  await db.query(
+    `INSERT INTO matches (user_id, matched_user_id, status, compatibility_score)
+     VALUES ($1, $2, 'accepted', 50), ($2, $1, 'accepted', 50)`,
+    [userId, otherUserId]
+  );
+}
+
+async function block(blockerId, blockedId) {
+  await db.query('INSERT INTO blocks (blocker_id, blocked_id) VALUES ($1, $2)', [blockerId, blockedId]);
+}
+
+async function canRead(viewerId, ownerId) {
+  const { rows } = await asUser(db, viewerId, tx => tx.query('SELECT id FROM profiles WHERE id = $1', [ownerId]));
+  return rows.length === 1;
+}
+
+async function canReadPreferences(viewerId, ownerId) {
+  const { rows } = await asUser(db, viewerId, tx =>
+    tx.query('SELECT id FROM partner_preferences WHERE user_id = $1', [ownerId]));
+  return rows.length === 1;
+}
+
+async function canLike(viewerId, ownerId) {
+  try {
+    await asUser(db, viewerId, tx =>
+      tx.query('INSERT INTO likes (from_user_id, to_user_id) VALUES ($1, $2)', [viewerId, ownerId]));
+    return true;
+  } catch (error) {
+    if (error.code === '42501') return false;
+    throw error;
+  }
+}
+
+async function discoveredIds(viewerId) {
+  const { data, error } = await findMatches(viewerId, { limit: 1000, passCooldownDays: 0 });
+
+  if (error) throw error;
+
+  return data.map(profile => profile.id);
+}
+
+async function isDiscovered(viewerId, ownerId) {
+  return (await discoveredIds(viewerId)).includes(ownerId);
+}
+
+describe('profile reads under RLS', () => {
+  test('public profiles can be read by anyone', async () => {
+    const owner = await createOwner('public');
+    const stranger = await createViewer();
+
+    assert.equal(await canRead(stranger, owner), true);
+    assert.equal(await canReadPreferences(stranger, owner), true);
+    assert.equal(await canLike(stranger, owner), true);
+  });
+
+  test('hidden profiles can only be read by their owner', async () => {
+    const owner = await createOwner('hidden');
+    const stranger = await createViewer();
+    const liked = await createViewer();
+    const matched = await createViewer();
+
+    await like(owner, liked);
+    await match(owner, matched);
+
+    assert.equal(await canRead(owner, owner), true);
+
+    for (const viewer of [stranger, liked, matched]) {
+      assert.equal(await canRead(viewer, owner), false);
+      assert.equal(await canReadPreferences(viewer, owner), false);
+      assert.equal(await canLike(viewer, owner), false);
+    }
+  });
+
+  test('matches-only profiles can be read by matches and people the owner liked', async () => {
+    const owner = await createOwner('matches-only');
+    const stranger = await createViewer();
+    const liked = await createViewer();
+    const matched = await createViewer();
+
+    await like(owner, liked);
+    await match(owner, matched);
+
+    assert.equal(await canRead(stranger, owner), false);
+    assert.equal(await canReadPreferences(stranger, owner), false);
+    assert.equal(await canLike(stranger, owner), false);
+
+    assert.equal(await canRead(liked, owner), true);
+    assert.equal(await canReadPreferences(liked, owner), true);
+    assert.equal(await canLike(liked, owner), true);
+
+    assert.equal(await canRead(matched, owner), true);
+  });
+
+  test('incognito profiles can be read by matches and people the owner liked', async () => {
+    const owner = await createOwner('incognito');
+    const stranger = await createViewer();
+    const liked = await createViewer();
+    const matched = await createViewer();
+
+    await like(owner, liked);
+    await match(owner, matched);
+
+    assert.equal(await canRead(stranger, owner), false);
+    assert.equal(await canLike(stranger, owner), false);
+
+    assert.equal(await canRead(liked, owner), true);
+    assert.equal(await canLike(liked, owner), true);
+
+    assert.equal(await canRead(matched, owner), true);
+  });
+
+  test('blocks hide every profile in both directions', async () => {
+    for (const visibility of ['public', 'matches-only', 'incognito']) {
+      const owner = await createOwner(visibility);
+      const viewer = await createViewer();
+
+      await like(owner, viewer);
+      await block(viewer, owner);
+
+      assert.equal(await canRead(viewer, owner), false, visibility);
+      assert.equal(await canRead(owner, viewer), false, visibility);
+    }
+  });
+
+  test('can_view_profile agrees with canViewProfile in visibility.js', async () => {
+    const relationships = [
+      { name: 'stranger', setup: async () => {} },
+      { name: 'owner liked viewer', ownerLikedViewer: true, setup: (owner, viewer) => like(owner, viewer) },
+      { name: 'matched', isMatched: true, setup: (owner, viewer) => match(owner, viewer) }
+    ];
+
+    for (const visibility of PROFILE_VISIBILITY_MODES) {
+      for (const relationship of relationships) {
+        const owner = await createOwner(visibility);
+        const viewer = await createViewer();
+
+        await relationship.setup(owner, viewer);
+
+        const { rows } = await db.query('SELECT can_view_profile($1, $2) AS allowed', [viewer, owner]);
+
+        assert.equal(
+          rows[0].allowed,
+          canViewProfile(visibility, relationship),
+          `${visibility}, ${relationship.name}`
+        );
+      }
+    }
+  });
+});
+
+describe('visibility functions', () => {
+  async function canCall(userId, sql, params) {
+    try {
+      await asUser(db, userId, tx => tx.query(sql, params));
+      return true;
+    } catch (error) {
+      if (error.code === '42501') return false;
+      throw error;
+    }
+  }
+
+  test('cannot be called by anonymous clients', async () => {
+    const owner = await createOwner('incognito');
+    const viewer = await createViewer();
+
+    assert.equal(await canCall(null, 'SELECT can_view_profile($1, $2)', [viewer, owner]), false);
+    assert.equal(await canCall(null, 'SELECT can_contact($1, $2)', [viewer, owner]), false);
+    assert.equal(await canCall(null, 'SELECT is_user_verified($1)', [owner]), false);
+    assert.equal(await canCall(null, 'SELECT are_users_matched($1, $2)', [viewer, owner]), false);
+    assert.equal(await canCall(null, 'SELECT is_blocked_between($1, $2)', [viewer, owner]), false);
+  });
+
+  test('is_user_verified is only for the backend', async () => {
+    const owner = await createOwner('public');
+    const viewer = await createViewer();
+
+    assert.equal(await canCall(viewer, 'SELECT is_user_verified($1)', [owner]), false);
+    assert.equal(await canCall(viewer, 'SELECT can_contact($1, $2)', [viewer, owner]), true);
+  });
+});
+
+describe('discovery', () => {
+  test('shows public profiles', async () => {
+    const owner = await createOwner('public');
+    const viewer = await createViewer();
+
+    assert.equal(await isDiscovered(viewer, owner), true);
+  });
+
+  test('never shows hidden profiles', async () => {
+    const owner = await createOwner('hidden');
+    const stranger = await createViewer();
+    const liked = await createViewer();
+
+    await like(owner, liked);
+
+    assert.equal(await isDiscovered(stranger, owner), false);
+    assert.equal(await isDiscovered(liked, owner), false);
+  });
+
+  test('never shows matches-only profiles, even to people the owner liked', async () => {
+    const owner = await createOwner('matches-only');
+    const stranger = await createViewer();
+    const liked = await createViewer();
+
+    await like(owner, liked);
+
+    assert.equal(await isDiscovered(stranger, owner), false);
+    assert.equal(await isDiscovered(liked, owner), false);
+  });
+
+  test('shows incognito profiles only to people the owner liked', async () => {
+    const owner = await createOwner('incognito');
+    const stranger = await createViewer();
+    const liked = await createViewer();
+
+    await like(owner, liked);
+
+    assert.equal(await isDiscovered(stranger, owner), false);
+    assert.equal(await isDiscovered(liked, owner), true);
+  });
+
+  test('hides blocked profiles in both directions', async () => {
+    const owner = await createOwner('public');
+    const blocker = await createViewer();
+    const blocked = await createViewer();
+
+    await block(blocker, owner);
+    await block(owner, blocked);
+
+    assert.equal(await isDiscovered(blocker, owner), false);
+    assert.equal(await isDiscovered(blocked, owner), false);
+  });
+
+  test('asks members without a gender identity to set one', async () => {
+    const member = await createWalletMember();
+    const { data, error } = await findMatches(member, { limit: 1000, passCooldownDays: 0 });
+
+    assert.equal(data, null);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.fields.map(({ location, field }) => [location, field]), [['profile', 'gender']]);
+  });
+
+  test('shows wallet members once they set a gender identity', async () => {
+    const member = await createWalletMember();
+    const viewer = await createViewer();
+
+    await db.query("UPDATE profiles SET gender = 'Female', gender_identity = 'female' WHERE id = $1", [member]);
+
+    assert.equal(await isDiscovered(viewer, member), true);
+    assert.equal(await isDiscovered(member, viewer), true);
+  });
+
+  test('treats a preferred location that names no place as no preference', async () => {
+    const owner = await createOwner('public');
+    const viewer = await createViewer();
+
+    await db.query("UPDATE profiles SET city = 'Pune' WHERE id = $1", [owner]);
+    await db.query("UPDATE partner_preferences SET preferred_location = ' - ' WHERE user_id = $1", [viewer]);
+
+    const { data, error } = await findMatches(viewer, { limit: 1000, passCooldownDays: 0 });
+    if (error) throw error;
+
+    const discovered = data.find(profile => profile.id === owner);
+
+    assert.ok(discovered);
+    assert.equal(discovered.preference_matches.met.includes('location'), false);
+    assert.equal(discovered.preference_matches.missed.includes('location'), false);
+  });
+
+  test('treats filter text literally', async () => {
+    const owner = await createOwner('public');
+    const viewer = await createViewer();
+
+    await db.query("UPDATE profiles SET mother_tongue = 'Hindi' WHERE id = $1", [owner]);
+
+    const withFilter = async motherTongues => {
+      const { data, error } = await findMatches(viewer, { limit: 1000, passCooldownDays: 0, filters: { motherTongues } });
+      if (error) throw error;
+      return data.map(profile => profile.id);
+    };
+
+    assert.equal((await withFilter(['hindi'])).includes(owner), true);
+    assert.equal((await withFilter(['h%'])).includes(owner), false);
+    assert.equal((await withFilter(['x,id.neq.00000000-0000-0000-0000-000000000000'])).includes(owner), false);
+  });
+});
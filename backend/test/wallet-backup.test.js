@@ -0,0 +1,75 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { ethers } from 'ethers';
+import { createTestDatabase, createMember } from './support/database.js';
+import { createPostgrestFetch } from './support/postgrest.js';
+
+const POSTGREST_URL = 'http://postgrest.test';
+
+let db;
+let getWalletBackup;
+
+before(async () => {
+  db = await createTestDatabase();
+
+  // supabase.js builds supabaseAdmin on import, from the environment and the global fetch
+  process.env.VITE_SUPABASE_URL = POSTGREST_URL;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+  globalThis.fetch = createPostgrestFetch(db, { baseUrl: POSTGREST_URL, role: 'service_role', fallbackFetch: fetch });
+
+  ({ getWalletBackup } = await import('../wallet-backup-service.js'));
+});
+
+function randomKey() {
+  return ethers.hexlify(crypto.randomBytes(32));
+}
+
+// A linked wallet with a backup. Only the keystore's shape matters here, not its encryption.
+async function createBackup({ restoreKey = randomKey() } = {}) {
+  const userId = await createMember(db);
+  const wallet = ethers.Wallet.createRandom();
+  const keystore = JSON.stringify({ address: wallet.address.slice(2).toLowerCase(), crypto: {} });
+
+  await db.query('INSERT INTO wallet_addresses (user_id, wallet_address, is_primary) VALUES ($1, $2, true)', [userId, wallet.address]);
+  await db.query(
+    'INSERT INTO custom_wallets (user_id, wallet_address, encrypted_private_key, restore_key_hash) VALUES ($1, $2, $3, $4)',
+    [userId, wallet.address, keystore, restoreKey && ethers.sha256(restoreKey)]
+  );
+
+  return { walletAddress: wallet.address, keystore, restoreKey };
+}
+
+describe('getWalletBackup', () => {
+  test('returns the backup for its restore key', async () => {
+    const { walletAddress, keystore, restoreKey } = await createBackup();
+
+    const { data, error } = await getWalletBackup(walletAddress, restoreKey);
+
+    assert.equal(error, null);
+    assert.deepEqual(data, { walletAddress, encryptedPrivateKey: keystore });
+  });
+
+  test('refuses a wrong key, an unknown wallet and a backup without a restore key alike', async () => {
+    const backup = await createBackup();
+    const oldBackup = await createBackup({ restoreKey: null });
+
+    const attempts = [
+      [backup.walletAddress, randomKey()],
+      [ethers.Wallet.createRandom().address, backup.restoreKey],
+      [oldBackup.walletAddress, randomKey()]
+    ];
+
+    const messages = new Set();
+
+    for (const [walletAddress, restoreKey] of attempts) {
+      const { data, error } = await getWalletBackup(walletAddress, restoreKey);
+
+      assert.equal(data, null);
+      assert.equal(error.status, 401);
+      messages.add(error.message);
+    }
+
+    assert.equal(messages.size, 1);
+  });
+});
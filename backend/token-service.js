@@ -0,0 +1,366 @@
+/**
+ * Token Service
+ * Wallet access tokens, rotating refresh tokens and the server-side sessions behind them.
+ *
+ * Access tokens are short-lived JWTs carrying the session ID (`sid`), so revoking a session
+ * also rejects its outstanding access tokens. Refresh tokens are stored only as SHA-256
+ * hashes and are single-use: each refresh rotates to a new one, and presenting a rotated
+ * token again revokes the whole session.
+ *
+ * A wallet login also gets a regular Supabase session. Its ID is stored with the wallet
+ * session, and revoking the wallet session ends the Supabase session too, so neither
+ * kind of token outlives a logout.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabaseAdmin } from './supabase.js';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+export const DEFAULT_ROLE = 'user';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The Supabase session ID (`session_id` claim) of a Supabase access token the caller has
+ * already verified, or null
+ */
+export function supabaseSessionIdOf(accessToken) {
+  const claims = jwt.decode(accessToken);
+  return (claims && claims.session_id) || null;
+}
+
+// Deleting the auth.sessions rows invalidates their refresh tokens, and auth.getUser
+// rejects access tokens whose session is gone
+async function endSupabaseSessions(userId, supabaseSessionIds) {
+  const sessionIds = supabaseSessionIds.filter(Boolean);
+
+  if (sessionIds.length === 0) return;
+
+  const { error } = await supabaseAdmin.rpc('end_supabase_sessions', {
+    target_user_id: userId,
+    session_ids: sessionIds
+  });
+
+  if (error) throw error;
+}
+
+/**
+ * The role of a Supabase user, from app_metadata (which users cannot change themselves)
+ */
+export function roleOf(user) {
+  return (user && user.app_metadata && user.app_metadata.role) || DEFAULT_ROLE;
+}
+
+// Looked up on every issue and refresh, so role changes apply within one access token lifetime
+async function loadRole(userId) {
+  const { data, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+
+  if (error) throw error;
+
+  return roleOf(data.user);
+}
+
+function signAccessToken(session, role) {
+  return jwt.sign(
+    {
+      userId: session.user_id,
+      walletAddress: session.wallet_address,
+      authMethod: 'wallet',
+      role,
+      sid: session.id
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+async function issueRefreshToken(sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('auth_refresh_tokens')
+    .insert([{
+      session_id: sessionId,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt.toISOString()
+    }]);
+
+  if (error) throw error;
+
+  return refreshToken;
+}
+
+async function tokenPair(session, refreshToken) {
+  return {
+    accessToken: signAccessToken(session, await loadRole(session.user_id)),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Opens a session for a freshly authenticated wallet. supabaseSessionId is the Supabase
+ * session issued alongside it, which is ended when this session is revoked.
+ * Returns { data: { accessToken, refreshToken, expiresIn, sessionId }, error }
+ */
+export async function createSession(userId, walletAddress, { userAgent = null, supabaseSessionId = null } = {}) {
+  try {
+    const { data: session, error } = await supabaseAdmin
+      .from('auth_sessions')
+      .insert([{
+        user_id: userId,
+        wallet_address: walletAddress,
+        user_agent: userAgent,
+        supabase_session_id: supabaseSessionId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const refreshToken = await issueRefreshToken(session.id);
+
+    return { data: await tokenPair(session, refreshToken), error: null };
+  } catch (error) {
+    console.error('Create session error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token.
+ * Returns { data: { accessToken, refreshToken, expiresIn, sessionId }, error }
+ */
+export async function refreshSession(refreshToken) {
+  try {
+    const { data: stored, error } = await supabaseAdmin
+      .from('auth_refresh_tokens')
+      .select('id, expires_at, rotated_at, auth_sessions(*)')
+      .eq('token_hash', hashToken(refreshToken))
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!stored) {
+      throw httpError(401, 'Invalid refresh token');
+    }
+
+    const session = stored.auth_sessions;
+
+    if (session.revoked_at) {
+      throw httpError(401, 'Session has been revoked');
+    }
+
+    if (stored.rotated_at) {
+      await revokeReusedSession(session);
+      throw httpError(401, 'Refresh token reuse detected; session revoked');
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      throw httpError(401, 'Refresh token has expired');
+    }
+
+    // Claim the token; if a concurrent request already rotated it, treat it as reuse
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from('auth_refresh_tokens')
+      .update({ rotated_at: new Date().toISOString() })
+      .eq('id', stored.id)
+      .is('rotated_at', null)
+      .select('id');
+
+    if (claimError) throw claimError;
+
+    if (claimed.length === 0) {
+      await revokeReusedSession(session);
+      throw httpError(401, 'Refresh token reuse detected; session revoked');
+    }
+
+    const nextRefreshToken = await issueRefreshToken(session.id);
+
+    await supabaseAdmin
+      .from('auth_sessions')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', session.id);
+
+    return { data: await tokenPair(session, nextRefreshToken), error: null };
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    return { data: null, error };
+  }
+}
+
+async function revokeReusedSession(session) {
+  console.warn(`Refresh token reuse detected for session ${session.id} (user ${session.user_id}); revoking`);
+
+  const { error } = await revokeSession(session.id, 'reuse');
+
+  if (error) throw error;
+}
+
+/**
+ * Revokes one session and ends its Supabase session. Already-revoked sessions are left
+ * as they are.
+ */
+export async function revokeSession(sessionId, reason = 'logout') {
+  try {
+    const { data: revoked, error } = await supabaseAdmin
+      .from('auth_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null)
+      .select('user_id, supabase_session_id');
+
+    if (error) throw error;
+
+    if (revoked.length > 0) {
+      await endSupabaseSessions(revoked[0].user_id, revoked.map(session => session.supabase_session_id));
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return { error };
+  }
+}
+
+/**
+ * Revokes the session a refresh token belongs to. Unknown tokens are ignored.
+ */
+export async function revokeSessionByRefreshToken(refreshToken) {
+  try {
+    const { data: stored, error } = await supabaseAdmin
+      .from('auth_refresh_tokens')
+      .select('session_id')
+      .eq('token_hash', hashToken(refreshToken))
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!stored) {
+      return { error: null };
+    }
+
+    return await revokeSession(stored.session_id);
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return { error };
+  }
+}
+
+/**
+ * Ends one Supabase session of a user, for callers authenticated with a Supabase access
+ * token (see supabaseSessionIdOf).
+ */
+export async function revokeSupabaseSession(userId, supabaseSessionId) {
+  try {
+    await endSupabaseSessions(userId, [supabaseSessionId]);
+
+    return { error: null };
+  } catch (error) {
+    console.error('Revoke Supabase session error:', error);
+    return { error };
+  }
+}
+
+/**
+ * Revokes every active session of a user ("log out all devices"), and every Supabase
+ * session, including email logins.
+ * Returns { data: number of wallet sessions revoked, error }
+ */
+export async function revokeAllSessions(userId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('auth_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: 'logout-all' })
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw error;
+
+    const { error: supabaseError } = await supabaseAdmin.rpc('end_all_supabase_sessions', {
+      target_user_id: userId
+    });
+
+    if (supabaseError) throw supabaseError;
+
+    return { data: data.length, error: null };
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Revokes the sessions a user opened with one wallet, e.g. when it is unlinked, and their
+ * Supabase sessions.
+ */
+export async function revokeWalletSessions(userId, walletAddress) {
+  try {
+    const { data: revoked, error } = await supabaseAdmin
+      .from('auth_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: 'unlink' })
+      .eq('user_id', userId)
+      .eq('wallet_address', walletAddress)
+      .is('revoked_at', null)
+      .select('supabase_session_id');
+
+    if (error) throw error;
+
+    await endSupabaseSessions(userId, revoked.map(session => session.supabase_session_id));
+
+    return { error: null };
+  } catch (error) {
+    console.error('Revoke wallet sessions error:', error);
+    return { error };
+  }
+}
+
+/**
+ * Verifies a wallet access token and that its session is still active.
+ * Returns { data: claims, error }; data is null for tokens that are not valid wallet tokens.
+ */
+export async function verifyAccessToken(token) {
+  try {
+    let claims;
+    try {
+      claims = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      throw httpError(401, 'Invalid or expired token');
+    }
+
+    if (!claims.sid) {
+      throw httpError(401, 'Invalid or expired token');
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('auth_sessions')
+      .select('id, revoked_at')
+      .eq('id', claims.sid)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!session || session.revoked_at) {
+      throw httpError(401, 'Session has been revoked');
+    }
+
+    return { data: claims, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Request Validation
+ * Declarative schemas for a route's params, query and body. A schema maps each field
+ * name to a field built with `field.*`:
+ *
+ *   validate({
+ *     params: { walletAddress: field.walletAddress() },
+ *     query: { limit: field.integer({ min: 1, max: 50, default: 10 }) },
+ *     body: { toUserId: field.uuid() }
+ *   })
+ *
+ * Fields are required unless given `optional: true` or a `default`. Query strings are
+ * coerced (integers, booleans, comma-separated lists) and strings are trimmed unless given
+ * `trim: false` (e.g. passwords). On success
+ * req.params, req.query and req.body are replaced with the parsed values, so unknown
+ * fields never reach the handler. Otherwise the request is rejected with:
+ *
+ *   400 { error: 'Invalid request: <field> <message>; ...', fields: [{ location, field, message }] }
+ *
+ * field is null when the whole location is malformed (e.g. a body that is not an object,
+ * or not valid JSON; see rejectMalformedBody).
+ */
+
+import { ethers } from 'ethers';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INTEGER_PATTERN = /^-?\d+$/;
+const PHONE_PATTERN = /^\+?\d{10,15}$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCATIONS = ['params', 'query', 'body'];
+
+class FieldError extends Error {}
+
+function fail(message) {
+  throw new FieldError(message);
+}
+
+/**
+ * Builds a field type from a parser that returns the parsed value or calls fail()
+ */
+function fieldType(parse) {
+  return ({ optional = false, default: defaultValue, ...options } = {}) => ({
+    optional: optional || defaultValue !== undefined,
+    defaultValue,
+    parse: value => parse(value, options)
+  });
+}
+
+function parseString(value, { trim = true, minLength, maxLength, pattern, oneOf, message }) {
+  if (typeof value !== 'string') fail('must be a string');
+
+  const text = trim ? value.trim() : value;
+
+  if (minLength !== undefined && text.length < minLength) fail(`must be at least ${minLength} characters`);
+  if (maxLength !== undefined && text.length > maxLength) fail(`must be at most ${maxLength} characters`);
+  if (pattern && !pattern.test(text)) fail(message || 'has an invalid format');
+  if (oneOf && !oneOf.includes(text)) fail(`must be one of: ${oneOf.join(', ')}`);
+
+  return text;
+}
+
+function parseInteger(value, { min, max, oneOf }) {
+  const number = typeof value === 'string' && INTEGER_PATTERN.test(value.trim()) ? Number(value) : value;
+
+  if (!Number.isSafeInteger(number)) fail('must be an integer');
+  if (min !== undefined && number < min) fail(`must be at least ${min}`);
+  if (max !== undefined && number > max) fail(`must be at most ${max}`);
+  if (oneOf && !oneOf.includes(number)) fail(`must be one of: ${oneOf.join(', ')}`);
+
+  return number;
+}
+
+function parseBoolean(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return fail('must be true or false');
+}
+
+function parseList(value, { of, maxItems }) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+
+  if (!Array.isArray(list)) fail('must be a list');
+
+  const items = list.filter(item => typeof item !== 'string' || item.trim() !== '');
+  if (maxItems !== undefined && items.length > maxItems) fail(`must have at most ${maxItems} items`);
+
+  return items.map((item, index) => {
+    try {
+      return of.parse(item);
+    } catch (error) {
+      if (error instanceof FieldError) fail(`item ${index + 1} ${error.message}`);
+      throw error;
+    }
+  });
+}
+
+export const field = {
+  string: fieldType(parseString),
+  integer: fieldType(parseInteger),
+  boolean: fieldType(parseBoolean),
+  list: fieldType(parseList),
+
+  email: fieldType((value, options) => parseString(value, {
+    maxLength: 254,
+    ...options,
+    pattern: EMAIL_PATTERN,
+    message: 'must be a valid email address'
+  })),
+
+  uuid: fieldType(value => parseString(value, { pattern: UUID_PATTERN, message: 'must be a valid UUID' })),
+
+  url: fieldType((value, options) => {
+    const text = parseString(value, { maxLength: 2048, ...options });
+
+    try {
+      const url = new URL(text);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') fail('must be an http(s) URL');
+      return url.href;
+    } catch (error) {
+      if (error instanceof FieldError) throw error;
+      return fail('must be a valid URL');
+    }
+  }),
+
+  /** Digits with an optional leading +; spaces, dashes, dots and brackets are dropped */
+  phone: fieldType(value => {
+    const text = parseString(value, { maxLength: 32 }).replace(/[\s\-().]/g, '');
+    if (!PHONE_PATTERN.test(text)) fail('must be a phone number of 10 to 15 digits');
+    return text;
+  }),
+
+  /** YYYY-MM-DD date of birth; minAge and maxAge are whole years as of today (UTC) */
+  birthDate: fieldType((value, { minAge, maxAge }) => {
+    const match = DATE_PATTERN.exec(parseString(value, {}));
+    const [year, month, day] = match ? match.slice(1).map(Number) : [];
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (!match || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      fail('must be a valid date (YYYY-MM-DD)');
+    }
+
+    const today = new Date();
+    const age = today.getUTCFullYear() - year -
+      (today.getUTCMonth() < month - 1 || (today.getUTCMonth() === month - 1 && today.getUTCDate() < day) ? 1 : 0);
+
+    if (minAge !== undefined && age < minAge) fail(`must be at least ${minAge} years ago`);
+    if (maxAge !== undefined && age > maxAge) fail(`must be at most ${maxAge} years ago`);
+
+    return match[0];
+  }),
+
+  /** Any-case Ethereum address; parsed to its EIP-55 checksummed form */
+  walletAddress: fieldType(value => {
+    const text = parseString(value, {});
+    if (!ethers.isAddress(text)) fail('must be a valid wallet address');
+    return ethers.getAddress(text);
+  })
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses `values` against a schema.
+ * Returns { data: parsed values, issues: [{ field, message }] }
+ */
+export function parseSchema(schema, values) {
+  const data = {};
+  const issues = [];
+
+  if (!isPlainObject(values)) {
+    return { data, issues: [{ field: null, message: 'must be a JSON object' }] };
+  }
+
+  Object.entries(schema).forEach(([name, definition]) => {
+    const value = values[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (definition.defaultValue !== undefined) {
+        data[name] = definition.defaultValue;
+      } else if (!definition.optional) {
+        issues.push({ field: name, message: 'is required' });
+      }
+      return;
+    }
+
+    try {
+      data[name] = definition.parse(value);
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      issues.push({ field: name, message: error.message });
+    }
+  });
+
+  return { data, issues };
+}
+
+/**
+ * Creates middleware validating the request against { params, query, body } schemas
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const parsed = {};
+    const fields = [];
+
+    LOCATIONS.forEach(location => {
+      if (!schemas[location]) return;
+
+      const { data, issues } = parseSchema(schemas[location], req[location] || {});
+
+      parsed[location] = data;
+      issues.forEach(issue => fields.push({ location, ...issue }));
+    });
+
+    if (fields.length > 0) {
+      return rejectRequest(res, fields);
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+/**
+ * Error middleware for express.json(): bodies that are not valid JSON, too large or in an
+ * unsupported encoding get the same 400 as a failed validate() instead of Express's HTML
+ * error page. Mount it right after the body parser.
+ */
+export function rejectMalformedBody(error, req, res, next) {
+  // body-parser tags its errors with a type such as entity.parse.failed or entity.too.large
+  if (!error.type || !error.status || error.status >= 500) {
+    return next(error);
+  }
+
+  const message = error.type === 'entity.parse.failed'
+    ? 'must be valid JSON'
+    : error.type === 'entity.too.large'
+      ? `must be at most ${error.limit} bytes`
+      : 'could not be read';
+
+  return rejectRequest(res, [{ location: 'body', field: null, message }]);
+}
+
+function rejectRequest(res, fields) {
+  const summary = fields.map(issue => `${issue.field || issue.location} ${issue.message}`).join('; ');
+  return res.status(400).json({ error: `Invalid request: ${summary}`, fields });
+}
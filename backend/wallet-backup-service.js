@@ -0,0 +1,67 @@
+/**
+ * Wallet Backup Service
+ * Hands custom wallet backups to devices that are not signed in yet, so a user whose only
+ * login is their custom wallet can restore it on a new device. The browser derives a
+ * restore key from the wallet password and address (see backupRestoreKey in
+ * js/web3-auth.js) and stores its SHA-256 hash with the backup. Presenting the key proves
+ * the caller knows the wallet password; knowing the address alone gets nothing.
+ * Requires SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+import crypto from 'crypto';
+import { supabaseAdmin, hasServiceRoleKey } from './supabase.js';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Same format as custom_wallets.restore_key_hash: 0x-prefixed lowercase hex
+function restoreKeyHash(restoreKey) {
+  return '0x' + crypto.createHash('sha256').update(Buffer.from(restoreKey.slice(2), 'hex')).digest('hex');
+}
+
+function hashesMatch(storedHash, restoreKey) {
+  if (!storedHash) return false;
+
+  const expected = Buffer.from(storedHash);
+  const actual = Buffer.from(restoreKeyHash(restoreKey));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * The encrypted keystore backed up for a checksummed wallet address, if restoreKey (a
+ * 0x-prefixed 32-byte hex key) matches the backup's restore key hash. A missing backup,
+ * one made before restore keys and a wrong key all fail the same way, so the response
+ * does not reveal which wallets have backups.
+ * Returns { data: { walletAddress, encryptedPrivateKey }, error }
+ */
+export async function getWalletBackup(walletAddress, restoreKey) {
+  try {
+    if (!hasServiceRoleKey) {
+      throw httpError(503, 'Wallet backups are not configured on this server');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('custom_wallets')
+      .select('wallet_address, encrypted_private_key, restore_key_hash')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data || !hashesMatch(data.restore_key_hash, restoreKey)) {
+      throw httpError(401, 'Incorrect wallet password, or this wallet has no backup you can restore before signing in');
+    }
+
+    return {
+      data: { walletAddress: data.wallet_address, encryptedPrivateKey: data.encrypted_private_key },
+      error: null
+    };
+  } catch (error) {
+    if (!error.status) console.error('Get wallet backup error:', error);
+    return { data: null, error };
+  }
+}
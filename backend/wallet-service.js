@@ -0,0 +1,148 @@
+/**
+ * Wallet Service
+ * Lists, links and unlinks a user's wallets and chooses the primary one.
+ * Callers must already have verified a `link` SIWE signature from any wallet they link.
+ */
+
+import { ethers } from 'ethers';
+import { supabaseAdmin } from './supabase.js';
+import { hasEmailLogin } from './wallet-session.js';
+import { revokeWalletSessions } from './token-service.js';
+
+const WALLET_COLUMNS = 'wallet_address, is_primary, created_at';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function checksumAddress(walletAddress) {
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    throw httpError(400, 'Invalid wallet address');
+  }
+  return ethers.getAddress(walletAddress);
+}
+
+// RAISE EXCEPTION in set_primary_wallet / unlink_wallet reports a rule the request broke
+function fromDatabaseRule(error) {
+  if (error.code !== 'P0001') return error;
+  return httpError(error.message === 'Wallet is not linked to this account' ? 404 : 409, error.message);
+}
+
+export async function listWallets(userId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('wallet_addresses')
+      .select(WALLET_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('List wallets error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Links a checksummed wallet address to the user. The first wallet becomes primary.
+ * Returns { data: wallet, error }
+ */
+export async function linkWallet(userId, walletAddress) {
+  try {
+    const { data: existingWallet, error: lookupError } = await supabaseAdmin
+      .from('wallet_addresses')
+      .select('user_id')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle();
+
+    if (lookupError) throw lookupError;
+
+    if (existingWallet) {
+      throw httpError(409, existingWallet.user_id === userId
+        ? 'Wallet is already linked to your account'
+        : 'Wallet already linked to another account');
+    }
+
+    const { data: userWallets, error: walletsError } = await supabaseAdmin
+      .from('wallet_addresses')
+      .select('id')
+      .eq('user_id', userId);
+
+    if (walletsError) throw walletsError;
+
+    const { data, error } = await supabaseAdmin
+      .from('wallet_addresses')
+      .insert([{
+        user_id: userId,
+        wallet_address: walletAddress,
+        is_primary: userWallets.length === 0
+      }])
+      .select(WALLET_COLUMNS)
+      .single();
+
+    if (error) {
+      // Linked by a concurrent request between the lookup and the insert
+      if (error.code === '23505') throw httpError(409, 'Wallet already linked to another account');
+      throw error;
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    if (!error.status) console.error('Link wallet error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Unlinks a wallet, refusing to remove the user's last way to log in, and ends the
+ * sessions opened with it.
+ * Returns { data: remaining wallets, error }
+ */
+export async function unlinkWallet(userId, walletAddress) {
+  try {
+    const address = checksumAddress(walletAddress);
+    const { data: emailLogin, error: emailError } = await hasEmailLogin(userId);
+
+    if (emailError) throw emailError;
+
+    const { error } = await supabaseAdmin.rpc('unlink_wallet', {
+      target_user_id: userId,
+      target_wallet_address: address,
+      keep_login: !emailLogin
+    });
+
+    if (error) throw fromDatabaseRule(error);
+
+    const { error: revokeError } = await revokeWalletSessions(userId, address);
+
+    if (revokeError) throw revokeError;
+
+    return await listWallets(userId);
+  } catch (error) {
+    if (!error.status) console.error('Unlink wallet error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Returns { data: wallets, error }
+ */
+export async function setPrimaryWallet(userId, walletAddress) {
+  try {
+    const { error } = await supabaseAdmin.rpc('set_primary_wallet', {
+      target_user_id: userId,
+      target_wallet_address: checksumAddress(walletAddress)
+    });
+
+    if (error) throw fromDatabaseRule(error);
+
+    return await listWallets(userId);
+  } catch (error) {
+    if (!error.status) console.error('Set primary wallet error:', error);
+    return { data: null, error };
+  }
+}
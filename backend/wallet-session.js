@@ -0,0 +1,179 @@
+/**
+ * Wallet Sessions
+ * Gives wallet logins a real Supabase Auth session, so profile, matching and messaging
+ * calls from the browser run under RLS exactly as they do for email users.
+ *
+ * Wallet users are Supabase users with a placeholder email and no password. After the
+ * SIWE signature is verified, the server generates a one-time magic link token for that
+ * user and exchanges it for a session, which the browser installs with setSession().
+ * Requires SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_URL, SUPABASE_ANON_KEY, supabaseAdmin, hasServiceRoleKey } from './supabase.js';
+
+export const WALLET_EMAIL_DOMAIN = 'wallet.dilsematchify.com';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function walletEmail(walletAddress) {
+  return `${walletAddress.toLowerCase()}@${WALLET_EMAIL_DOMAIN}`;
+}
+
+/**
+ * Whether an account email is a real address rather than a wallet placeholder
+ */
+export function isLoginEmail(email) {
+  return !!email && !email.toLowerCase().endsWith(`@${WALLET_EMAIL_DOMAIN}`);
+}
+
+/**
+ * Whether the user can log in with an email and password, i.e. their account email is
+ * a real address rather than a wallet placeholder.
+ * Returns { data: boolean, error }
+ */
+export async function hasEmailLogin(userId) {
+  try {
+    const { data, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+
+    if (error) throw error;
+
+    return { data: isLoginEmail(data.user.email), error: null };
+  } catch (error) {
+    console.error('Email login check error:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Finds the user a checksummed wallet address belongs to, creating the account,
+ * profile, partner preferences, settings and primary wallet link on first login.
+ * Returns { data: { userId, email, isNewUser }, error }
+ */
+export async function findOrCreateWalletUser(walletAddress) {
+  try {
+    if (!hasServiceRoleKey) {
+      throw httpError(503, 'Wallet login is not configured on this server');
+    }
+
+    const { data: walletData, error: walletLookupError } = await supabaseAdmin
+      .from('wallet_addresses')
+      .select('user_id')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle();
+
+    if (walletLookupError) throw walletLookupError;
+
+    if (walletData) {
+      const { data: authData, error: userError } = await supabaseAdmin.auth.admin.getUserById(walletData.user_id);
+
+      if (userError) throw userError;
+
+      return {
+        data: { userId: walletData.user_id, email: authData.user.email, isNewUser: false },
+        error: null
+      };
+    }
+
+    const email = walletEmail(walletAddress);
+
+    const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
+      email,
+      email_confirm: true,
+      user_metadata: {
+        wallet_address: walletAddress,
+        auth_method: 'wallet'
+      }
+    });
+
+    if (authError) throw authError;
+
+    const userId = authData.user.id;
+
+    // The same profile, partner preferences and settings rows as an email signup; the
+    // user adds their gender identity and the rest of their profile after signing in
+    const { error: profileError } = await supabaseAdmin.rpc('create_signup_profile', {
+      new_user_id: userId,
+      profile: {
+        email,
+        first_name: 'User',
+        last_name: walletAddress.substring(0, 8)
+      },
+      preferences: {}
+    });
+
+    if (profileError) {
+      await deleteUnfinishedUser(userId);
+      throw profileError;
+    }
+
+    const { error: walletError } = await supabaseAdmin
+      .from('wallet_addresses')
+      .insert([{
+        user_id: userId,
+        wallet_address: walletAddress,
+        is_primary: true
+      }]);
+
+    if (walletError) {
+      await deleteUnfinishedUser(userId);
+      throw walletError;
+    }
+
+    return { data: { userId, email, isNewUser: true }, error: null };
+  } catch (error) {
+    console.error('Find or create wallet user error:', error);
+    return { data: null, error };
+  }
+}
+
+// Otherwise the placeholder email stays taken and the wallet can never sign up again
+async function deleteUnfinishedUser(userId) {
+  const { error } = await supabaseAdmin.auth.admin.deleteUser(userId);
+
+  if (error) console.error('Delete user after failed wallet signup error:', error);
+}
+
+/**
+ * Issues a Supabase session for a user the server has already authenticated.
+ * Returns { data: session, error }
+ */
+export async function createSupabaseSession(email) {
+  try {
+    if (!hasServiceRoleKey) {
+      throw httpError(503, 'Wallet login is not configured on this server');
+    }
+
+    const { data: linkData, error: linkError } = await supabaseAdmin.auth.admin.generateLink({
+      type: 'magiclink',
+      email
+    });
+
+    if (linkError) throw linkError;
+
+    // verifyOtp stores the session on the client it is called on, so use a throwaway one
+    const client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      auth: { autoRefreshToken: false, persistSession: false }
+    });
+
+    const { data, error } = await client.auth.verifyOtp({
+      token_hash: linkData.properties.hashed_token,
+      type: 'magiclink'
+    });
+
+    if (error) throw error;
+
+    if (!data.session) {
+      throw new Error('No session returned for wallet login');
+    }
+
+    return { data: data.session, error: null };
+  } catch (error) {
+    console.error('Create Supabase session error:', error);
+    return { data: null, error };
+  }
+}
@@ -0,0 +1,85 @@
+/*
+  # Real-time Messaging
+
+  ## Overview
+  Backs the messaging module (js/messaging.js) with stricter RLS and realtime delivery.
+  Messages may only be sent between users who share an accepted match.
+
+  ## 1. New Functions
+
+  ### `are_users_matched(user_a, user_b)`
+  - Returns true when an accepted row exists in `matches` for the pair, in either direction
+
+  ## 2. Security
+  - Replace "Users can send messages" with a policy that also requires an accepted match
+  - Receivers may only flip `is_read`; content, sender and receiver are immutable
+  - `are_users_matched` can only be called by signed-in users, so anonymous clients can't
+    probe who is matched with whom
+
+  ## 3. Realtime
+  - Add `messages` to the `supabase_realtime` publication so clients can subscribe to inserts
+
+  ## 4. Indexes
+  - Composite indexes for conversation history (sender/receiver pair ordered by created_at)
+  - Partial index for unread counts
+*/
+
+-- Create function to check for an accepted match between two users
+CREATE OR REPLACE FUNCTION are_users_matched(user_a uuid, user_b uuid)
+RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM matches
+    WHERE status = 'accepted'
+      AND (
+        (user_id = user_a AND matched_user_id = user_b)
+        OR (user_id = user_b AND matched_user_id = user_a)
+      )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION are_users_matched(uuid, uuid) FROM PUBLIC, anon;
+
+-- Messages may only be sent to matched users
+DROP POLICY IF EXISTS "Users can send messages" ON messages;
+
+CREATE POLICY "Users can send messages to matches"
+  ON messages FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    sender_id = auth.uid()
+    AND sender_id <> receiver_id
+    AND are_users_matched(sender_id, receiver_id)
+  );
+
+ALTER TABLE messages
+  ADD CONSTRAINT messages_content_length CHECK (char_length(content) BETWEEN 1 AND 2000);
+
+-- Create function to restrict receiver updates to the read flag
+CREATE OR REPLACE FUNCTION restrict_message_updates()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.sender_id <> OLD.sender_id
+    OR NEW.receiver_id <> OLD.receiver_id
+    OR NEW.content <> OLD.content
+    OR NEW.created_at <> OLD.created_at THEN
+    RAISE EXCEPTION 'Only the read status of a message can be updated';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER enforce_message_read_only_updates
+  BEFORE UPDATE ON messages
+  FOR EACH ROW
+  EXECUTE FUNCTION restrict_message_updates();
+
+-- Create indexes for conversation history and unread counts
+CREATE INDEX IF NOT EXISTS idx_messages_conversation
+  ON messages(sender_id, receiver_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_unread
+  ON messages(receiver_id, sender_id)
+  WHERE is_read = false;
+
+-- Enable realtime delivery of new and updated messages
+ALTER PUBLICATION supabase_realtime ADD TABLE messages;
@@ -0,0 +1,129 @@
+/*
+  # Symmetric Mutual Matches
+
+  ## Overview
+  A mutual match is stored as two mirrored rows in `matches`, one owned by each participant
+  (`user_id` = the participant, `matched_user_id` = the other person). Every user reads their
+  matches with `user_id = auth.uid()` and counts stay consistent for both sides.
+
+  ## 1. Modified Tables
+
+  ### `matches`
+  - `liked_at` (timestamptz) - When this row's user liked the other person
+  - `matched_at` (timestamptz) - When the mutual match was formed
+
+  ## 2. New Functions
+
+  ### `create_mutual_match(other_user_id, score)`
+  - Requires likes in both directions
+  - Inserts (or re-accepts) both mirrored rows with the given compatibility score
+  - Returns both rows
+
+  ### `sync_mirrored_match()`
+  - Keeps `status` and `compatibility_score` of the mirrored row in step
+
+  ## 3. Security
+  - Direct inserts into `matches` are no longer allowed; clients call `create_mutual_match`
+
+  ## 4. Data Migration
+  - Existing single-row matches get their mirrored row and timestamps backfilled
+*/
+
+-- Add per-side timestamps
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS liked_at timestamptz;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS matched_at timestamptz;
+
+-- Backfill mirrored rows for existing matches
+INSERT INTO matches (user_id, matched_user_id, compatibility_score, status, created_at)
+SELECT m.matched_user_id, m.user_id, m.compatibility_score, m.status, m.created_at
+FROM matches m
+WHERE NOT EXISTS (
+  SELECT 1
+  FROM matches mirror
+  WHERE mirror.user_id = m.matched_user_id
+    AND mirror.matched_user_id = m.user_id
+);
+
+UPDATE matches m
+SET
+  matched_at = COALESCE(m.matched_at, m.created_at),
+  liked_at = COALESCE(m.liked_at, l.created_at)
+FROM likes l
+WHERE l.from_user_id = m.user_id
+  AND l.to_user_id = m.matched_user_id;
+
+UPDATE matches
+SET matched_at = created_at
+WHERE matched_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_matches_user_status ON matches(user_id, status, matched_at DESC);
+
+-- Matches are created only through create_mutual_match
+DROP POLICY IF EXISTS "Users can create matches" ON matches;
+
+-- Create function to form a mutual match from reciprocal likes
+CREATE OR REPLACE FUNCTION create_mutual_match(other_user_id uuid, score integer DEFAULT 0)
+RETURNS SETOF matches AS $$
+DECLARE
+  current_user_id uuid := auth.uid();
+  clamped_score integer := GREATEST(0, LEAST(100, COALESCE(score, 0)));
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF current_user_id = other_user_id THEN
+    RAISE EXCEPTION 'Cannot match with yourself';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM likes WHERE from_user_id = current_user_id AND to_user_id = other_user_id
+  ) OR NOT EXISTS (
+    SELECT 1 FROM likes WHERE from_user_id = other_user_id AND to_user_id = current_user_id
+  ) THEN
+    RAISE EXCEPTION 'A match requires likes from both users';
+  END IF;
+
+  INSERT INTO matches (user_id, matched_user_id, compatibility_score, status, liked_at, matched_at)
+  SELECT l.from_user_id, l.to_user_id, clamped_score, 'accepted', l.created_at, now()
+  FROM likes l
+  WHERE (l.from_user_id = current_user_id AND l.to_user_id = other_user_id)
+     OR (l.from_user_id = other_user_id AND l.to_user_id = current_user_id)
+  ON CONFLICT (user_id, matched_user_id) DO UPDATE
+  SET
+    status = 'accepted',
+    compatibility_score = EXCLUDED.compatibility_score,
+    liked_at = EXCLUDED.liked_at,
+    matched_at = CASE
+      WHEN matches.status = 'accepted' THEN COALESCE(matches.matched_at, EXCLUDED.matched_at)
+      ELSE EXCLUDED.matched_at
+    END;
+
+  RETURN QUERY
+  SELECT *
+  FROM matches
+  WHERE (user_id = current_user_id AND matched_user_id = other_user_id)
+     OR (user_id = other_user_id AND matched_user_id = current_user_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Create function to keep both sides of a match in step
+CREATE OR REPLACE FUNCTION sync_mirrored_match()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE matches
+  SET
+    status = NEW.status,
+    compatibility_score = NEW.compatibility_score
+  WHERE user_id = NEW.matched_user_id
+    AND matched_user_id = NEW.user_id
+    AND (status IS DISTINCT FROM NEW.status
+      OR compatibility_score IS DISTINCT FROM NEW.compatibility_score);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER sync_mirrored_match_update
+  AFTER UPDATE OF status, compatibility_score ON matches
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_mirrored_match();
@@ -0,0 +1,226 @@
+/*
+  # Pass, Unmatch and Block
+
+  ## Overview
+  Persists swipe "passes", lets users end a match and lets users block each other.
+  Blocking is enforced in RLS so blocked users disappear from each other's discovery,
+  profile reads, likes, matches and messages regardless of the client.
+
+  ## 1. New Tables
+
+  ### `passes`
+  - `id` (uuid, primary key)
+  - `from_user_id` (uuid, foreign key) - User who passed
+  - `to_user_id` (uuid, foreign key) - User who was passed
+  - `created_at` (timestamptz) - When the (latest) pass happened; drives the discovery cooldown
+
+  ### `blocks`
+  - `id` (uuid, primary key)
+  - `blocker_id` (uuid, foreign key) - User who blocked
+  - `blocked_id` (uuid, foreign key) - User who was blocked
+  - `created_at` (timestamptz)
+
+  ## 2. Modified Tables
+
+  ### `matches`
+  - `status` now allows 'unmatched' and 'blocked' in addition to pending/accepted/rejected
+
+  ## 3. New Functions
+
+  ### `is_blocked_between(user_a, user_b)`
+  - True when either user has blocked the other
+
+  ### `apply_block()`
+  - On block: marks the pair's matches as 'blocked' and removes likes in both directions
+
+  ## 4. Security
+  - Users manage only their own passes and blocks
+  - Profiles, likes, matches and messages are hidden across a block in both directions
+  - Likes and messages cannot be created across a block
+  - `is_blocked_between` can only be called by signed-in users, so anonymous clients can't
+    probe who has blocked whom
+*/
+
+-- Create passes table
+CREATE TABLE IF NOT EXISTS passes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  from_user_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  to_user_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(from_user_id, to_user_id),
+  CHECK (from_user_id <> to_user_id)
+);
+
+-- Create blocks table
+CREATE TABLE IF NOT EXISTS blocks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  blocker_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  blocked_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_passes_from_user ON passes(from_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blocks_blocker ON blocks(blocker_id);
+CREATE INDEX IF NOT EXISTS idx_blocks_blocked ON blocks(blocked_id);
+
+-- Extend match statuses
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_status_check;
+ALTER TABLE matches
+  ADD CONSTRAINT matches_status_check
+  CHECK (status IN ('pending', 'accepted', 'rejected', 'unmatched', 'blocked'));
+
+-- Enable Row Level Security
+ALTER TABLE passes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE blocks ENABLE ROW LEVEL SECURITY;
+
+-- Create function to check for a block in either direction
+CREATE OR REPLACE FUNCTION is_blocked_between(user_a uuid, user_b uuid)
+RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM blocks
+    WHERE (blocker_id = user_a AND blocked_id = user_b)
+       OR (blocker_id = user_b AND blocked_id = user_a)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION is_blocked_between(uuid, uuid) FROM PUBLIC, anon;
+
+-- Passes RLS Policies
+CREATE POLICY "Users can view their passes"
+  ON passes FOR SELECT
+  TO authenticated
+  USING (from_user_id = auth.uid());
+
+CREATE POLICY "Users can create passes"
+  ON passes FOR INSERT
+  TO authenticated
+  WITH CHECK (from_user_id = auth.uid());
+
+CREATE POLICY "Users can update their passes"
+  ON passes FOR UPDATE
+  TO authenticated
+  USING (from_user_id = auth.uid())
+  WITH CHECK (from_user_id = auth.uid());
+
+CREATE POLICY "Users can delete their passes"
+  ON passes FOR DELETE
+  TO authenticated
+  USING (from_user_id = auth.uid());
+
+-- Blocks RLS Policies
+CREATE POLICY "Users can view blocks they created"
+  ON blocks FOR SELECT
+  TO authenticated
+  USING (blocker_id = auth.uid());
+
+CREATE POLICY "Users can create blocks"
+  ON blocks FOR INSERT
+  TO authenticated
+  WITH CHECK (blocker_id = auth.uid());
+
+CREATE POLICY "Users can remove blocks they created"
+  ON blocks FOR DELETE
+  TO authenticated
+  USING (blocker_id = auth.uid());
+
+-- Profiles are hidden across a block
+DROP POLICY IF EXISTS "Users can view public profiles" ON profiles;
+
+CREATE POLICY "Users can view public profiles"
+  ON profiles FOR SELECT
+  TO authenticated
+  USING (
+    id = auth.uid()
+    OR (
+      profile_visibility = 'public'
+      AND NOT is_blocked_between(id, auth.uid())
+    )
+  );
+
+-- Likes are hidden and refused across a block
+DROP POLICY IF EXISTS "Users can view likes they received" ON likes;
+DROP POLICY IF EXISTS "Users can create likes" ON likes;
+
+CREATE POLICY "Users can view likes they received"
+  ON likes FOR SELECT
+  TO authenticated
+  USING (
+    to_user_id = auth.uid()
+    AND NOT is_blocked_between(from_user_id, to_user_id)
+  );
+
+CREATE POLICY "Users can create likes"
+  ON likes FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    from_user_id = auth.uid()
+    AND NOT is_blocked_between(from_user_id, to_user_id)
+  );
+
+-- Matches are hidden across a block
+DROP POLICY IF EXISTS "Users can view their matches" ON matches;
+
+CREATE POLICY "Users can view their matches"
+  ON matches FOR SELECT
+  TO authenticated
+  USING (
+    (user_id = auth.uid() OR matched_user_id = auth.uid())
+    AND NOT is_blocked_between(user_id, matched_user_id)
+  );
+
+-- Messages are hidden and refused across a block
+DROP POLICY IF EXISTS "Users can view messages they sent" ON messages;
+DROP POLICY IF EXISTS "Users can view messages they received" ON messages;
+DROP POLICY IF EXISTS "Users can send messages to matches" ON messages;
+
+CREATE POLICY "Users can view messages they sent"
+  ON messages FOR SELECT
+  TO authenticated
+  USING (
+    sender_id = auth.uid()
+    AND NOT is_blocked_between(sender_id, receiver_id)
+  );
+
+CREATE POLICY "Users can view messages they received"
+  ON messages FOR SELECT
+  TO authenticated
+  USING (
+    receiver_id = auth.uid()
+    AND NOT is_blocked_between(sender_id, receiver_id)
+  );
+
+CREATE POLICY "Users can send messages to matches"
+  ON messages FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    sender_id = auth.uid()
+    AND sender_id <> receiver_id
+    AND are_users_matched(sender_id, receiver_id)
+    AND NOT is_blocked_between(sender_id, receiver_id)
+  );
+
+-- Create function to tear down the relationship when a block is created
+CREATE OR REPLACE FUNCTION apply_block()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE matches
+  SET status = 'blocked'
+  WHERE (user_id = NEW.blocker_id AND matched_user_id = NEW.blocked_id)
+     OR (user_id = NEW.blocked_id AND matched_user_id = NEW.blocker_id);
+
+  DELETE FROM likes
+  WHERE (from_user_id = NEW.blocker_id AND to_user_id = NEW.blocked_id)
+     OR (from_user_id = NEW.blocked_id AND to_user_id = NEW.blocker_id);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER apply_block_after_insert
+  AFTER INSERT ON blocks
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_block();
@@ -0,0 +1,26 @@
+/*
+  # Hard and Soft Partner Preferences
+
+  ## Overview
+  Every stored partner preference now counts in matching. Each preference is either a
+  hard filter (candidates that miss it are excluded) or a soft signal (it only affects
+  the compatibility score).
+
+  ## 1. Modified Tables
+
+  ### `partner_preferences`
+  - `strict_preferences` (text[]) - Preferences enforced as hard filters.
+    Allowed keys: age, height, education, religion, location, marital_status.
+    Defaults to religion and location, which discovery already enforced as filters.
+*/
+
+ALTER TABLE partner_preferences
+  ADD COLUMN IF NOT EXISTS strict_preferences text[] DEFAULT ARRAY['religion', 'location']::text[];
+
+UPDATE partner_preferences
+SET strict_preferences = ARRAY['religion', 'location']::text[]
+WHERE strict_preferences IS NULL;
+
+ALTER TABLE partner_preferences
+  ADD CONSTRAINT partner_preferences_strict_preferences_check
+  CHECK (strict_preferences <@ ARRAY['age', 'height', 'education', 'religion', 'location', 'marital_status']::text[]);
@@ -0,0 +1,24 @@
+/*
+  # Reciprocal Compatibility
+
+  ## Overview
+  Reciprocal scoring checks both whether a candidate fits my preferences and whether I fit
+  theirs, so the matcher needs to read the partner preferences of profiles it can see.
+
+  ## 1. Security
+  - Authenticated users can read the partner preferences of public, unblocked profiles
+  - Writes remain restricted to the owner
+*/
+
+CREATE POLICY "Users can view preferences of visible profiles"
+  ON partner_preferences FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+      FROM profiles p
+      WHERE p.id = partner_preferences.user_id
+        AND p.profile_visibility = 'public'
+        AND NOT is_blocked_between(p.id, auth.uid())
+    )
+  );
@@ -0,0 +1,65 @@
+/*
+  # Gender Identity and "Interested In"
+
+  ## Overview
+  Replaces the hardcoded opposite-gender rule in discovery. Each profile has a gender
+  identity and each user's partner preferences say which identities they are interested in.
+  Discovery only pairs users whose interests include each other's identity.
+
+  ## 1. Modified Tables
+
+  ### `profiles`
+  - `gender_identity` (text) - One of male, female, non-binary, other
+
+  ### `partner_preferences`
+  - `interested_in` (text[]) - Gender identities the user wants to see in discovery
+
+  ## 2. Data Migration
+  - `gender_identity` is backfilled from `gender`; values outside the list become 'other'
+  - Users without a partner_preferences row get one
+  - `interested_in` is backfilled with the opposite binary gender for male/female users
+    (the previous discovery behaviour) and with every identity for everyone else
+
+  ## 3. Indexes
+  - B-tree index on `profiles.gender_identity`
+  - GIN index on `partner_preferences.interested_in`
+*/
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS gender_identity text
+  CHECK (gender_identity IN ('male', 'female', 'non-binary', 'other'));
+
+ALTER TABLE partner_preferences
+  ADD COLUMN IF NOT EXISTS interested_in text[]
+  DEFAULT ARRAY['male', 'female', 'non-binary', 'other']::text[]
+  CHECK (interested_in <@ ARRAY['male', 'female', 'non-binary', 'other']::text[]);
+
+-- Backfill gender identity from the existing gender column
+UPDATE profiles
+SET gender_identity = CASE
+  WHEN gender IN ('male', 'female', 'non-binary', 'other') THEN gender
+  ELSE 'other'
+END
+WHERE gender_identity IS NULL
+  AND gender IS NOT NULL;
+
+-- Every user needs a preferences row to take part in discovery
+INSERT INTO partner_preferences (user_id)
+SELECT p.id
+FROM profiles p
+WHERE NOT EXISTS (
+  SELECT 1 FROM partner_preferences pp WHERE pp.user_id = p.id
+);
+
+-- Backfill "interested in", preserving the previous opposite-gender behaviour
+UPDATE partner_preferences pp
+SET interested_in = CASE p.gender_identity
+  WHEN 'male' THEN ARRAY['female']::text[]
+  WHEN 'female' THEN ARRAY['male']::text[]
+  ELSE ARRAY['male', 'female', 'non-binary', 'other']::text[]
+END
+FROM profiles p
+WHERE p.id = pp.user_id;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_gender_identity ON profiles(gender_identity);
+CREATE INDEX IF NOT EXISTS idx_partner_preferences_interested_in ON partner_preferences USING gin(interested_in);
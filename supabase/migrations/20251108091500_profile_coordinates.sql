@@ -0,0 +1,52 @@
+/*
+  # Distance-Based Location Matching
+
+  ## Overview
+  Location matching used to compare city/state text, so "Bengaluru" and "Bangalore" did not
+  match and a neighbouring city scored the same as one across the country. Profiles now carry
+  coordinates resolved from their city/state by the offline gazetteer
+  (DilseMatchify_frontend/js/gazetteer.js), and partner preferences can set a maximum distance.
+
+  ## 1. Modified Tables
+
+  ### `profiles`
+  - `latitude` (double precision) - Latitude of the profile's city, or of its state when the city is unknown
+  - `longitude` (double precision) - Longitude, as above
+  - `location_precision` (text) - 'city' or 'state', depending on what the gazetteer resolved
+
+  Coordinates are city centroids from the gazetteer, never a device position.
+
+  ### `partner_preferences`
+  - `max_distance_km` (integer) - Maximum distance to a candidate; null means no limit
+  - `strict_preferences` may now include 'distance'
+
+  ## 2. Data Migration
+  - Existing profiles are geocoded by `npm run geocode:profiles`, which uses the same gazetteer
+    as the app. Until then, location matching falls back to comparing city/state text.
+
+  ## 3. Indexes
+  - B-tree index on `profiles(latitude, longitude)` for bounding-box pre-filtering
+*/
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS latitude double precision CHECK (latitude BETWEEN -90 AND 90),
+  ADD COLUMN IF NOT EXISTS longitude double precision CHECK (longitude BETWEEN -180 AND 180),
+  ADD COLUMN IF NOT EXISTS location_precision text CHECK (location_precision IN ('city', 'state'));
+
+-- Coordinates are set together or not at all
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_coordinates_pair_check
+  CHECK ((latitude IS NULL) = (longitude IS NULL));
+
+ALTER TABLE partner_preferences
+  ADD COLUMN IF NOT EXISTS max_distance_km integer CHECK (max_distance_km > 0 AND max_distance_km <= 5000);
+
+-- Allow distance as a hard filter
+ALTER TABLE partner_preferences
+  DROP CONSTRAINT IF EXISTS partner_preferences_strict_preferences_check;
+
+ALTER TABLE partner_preferences
+  ADD CONSTRAINT partner_preferences_strict_preferences_check
+  CHECK (strict_preferences <@ ARRAY['age', 'height', 'education', 'religion', 'location', 'distance', 'marital_status']::text[]);
+
+CREATE INDEX IF NOT EXISTS idx_profiles_coordinates ON profiles(latitude, longitude);
@@ -0,0 +1,119 @@
+/*
+  # Profile Photo Gallery
+
+  ## Overview
+  `additional_photos` becomes the user's whole photo gallery, in display order. The first
+  photo is the primary one and is mirrored to `profile_photo_url`.
+
+  ## 1. Modified Tables
+
+  ### `profiles`
+  - `additional_photos` (jsonb) - Array of `{ path, url, uploaded_at }` objects, at most 6.
+    `path` is the object's key in the `photos` storage bucket.
+
+  ## 2. Storage
+  - `photos` bucket: public read, 5 MB limit, JPEG/PNG/WebP only
+  - Users can upload, update and delete objects under `profile-photos/<their user id>/`
+  - Users can also delete their legacy `profile-photos/<user id>-<timestamp>.<ext>` uploads
+
+  ## 3. Data Migration
+  - Plain URL strings in `additional_photos` become gallery objects
+  - An existing `profile_photo_url` is added to the front of the gallery
+*/
+
+-- Bucket for profile photos
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('photos', 'photos', true, 5242880, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO UPDATE
+SET public = EXCLUDED.public,
+    file_size_limit = EXCLUDED.file_size_limit,
+    allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+-- Anyone can view photos, which are shown on public profiles
+CREATE POLICY "Anyone can view profile photos"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'photos');
+
+-- Users can only write inside their own folder
+CREATE POLICY "Users can upload own photos"
+  ON storage.objects FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket_id = 'photos'
+    AND (storage.foldername(name))[1] = 'profile-photos'
+    AND (storage.foldername(name))[2] = auth.uid()::text
+  );
+
+CREATE POLICY "Users can update own photos"
+  ON storage.objects FOR UPDATE
+  TO authenticated
+  USING (
+    bucket_id = 'photos'
+    AND (storage.foldername(name))[1] = 'profile-photos'
+    AND (storage.foldername(name))[2] = auth.uid()::text
+  );
+
+CREATE POLICY "Users can delete own photos"
+  ON storage.objects FOR DELETE
+  TO authenticated
+  USING (
+    bucket_id = 'photos'
+    AND (
+      ((storage.foldername(name))[1] = 'profile-photos' AND (storage.foldername(name))[2] = auth.uid()::text)
+      OR name LIKE 'profile-photos/' || auth.uid()::text || '-%'
+    )
+  );
+
+-- Normalize existing gallery entries to objects
+UPDATE profiles
+SET additional_photos = (
+  SELECT COALESCE(jsonb_agg(
+    CASE jsonb_typeof(photo)
+      WHEN 'string' THEN jsonb_build_object(
+        'path', substring(photo #>> '{}' FROM '/object/public/photos/(.*)$'),
+        'url', photo #>> '{}',
+        'uploaded_at', now()
+      )
+      ELSE photo
+    END
+  ), '[]'::jsonb)
+  FROM jsonb_array_elements(additional_photos) AS photo
+)
+WHERE jsonb_typeof(additional_photos) = 'array'
+  AND jsonb_array_length(additional_photos) > 0;
+
+UPDATE profiles
+SET additional_photos = '[]'::jsonb
+WHERE additional_photos IS NULL
+   OR jsonb_typeof(additional_photos) <> 'array';
+
+-- Put the current profile photo at the front of the gallery
+UPDATE profiles
+SET additional_photos = jsonb_build_array(jsonb_build_object(
+  'path', substring(profile_photo_url FROM '/object/public/photos/(.*)$'),
+  'url', profile_photo_url,
+  'uploaded_at', COALESCE(updated_at, now())
+)) || additional_photos
+WHERE profile_photo_url IS NOT NULL
+  AND profile_photo_url <> ''
+  AND NOT EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(additional_photos) AS photo
+    WHERE photo->>'url' = profile_photo_url
+  );
+
+-- Keep only the first 6 photos of any oversized gallery
+UPDATE profiles
+SET additional_photos = (
+  SELECT jsonb_agg(photo ORDER BY position)
+  FROM jsonb_array_elements(additional_photos) WITH ORDINALITY AS item(photo, position)
+  WHERE position <= 6
+)
+WHERE jsonb_array_length(additional_photos) > 6;
+
+ALTER TABLE profiles
+  ALTER COLUMN additional_photos SET NOT NULL;
+
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_additional_photos_check
+  CHECK (jsonb_typeof(additional_photos) = 'array' AND jsonb_array_length(additional_photos) <= 6);
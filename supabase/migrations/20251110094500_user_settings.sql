@@ -0,0 +1,321 @@
+/*
+  # Persisted User Settings
+
+  ## Overview
+  Backs settings.html. Settings that already lived on `profiles` (`profile_visibility`,
+  `contact_preference`, `email_notifications`) and `partner_preferences` (`interested_in`,
+  `max_distance_km`) stay there; everything else gets a `user_settings` row. Clients read and
+  write all of them through RPCs that validate every value.
+
+  ## 1. New Tables
+
+  ### `user_settings`
+  - `user_id` (uuid, primary key, references profiles)
+  - `show_distance` (boolean) - Show my distance to people viewing my profile
+  - `show_age` (boolean) - Show my age on my profile
+  - `show_last_active` (boolean) - Show when I was last active
+  - `read_receipts` (boolean) - Let matches see when I have read their messages
+  - `notify_new_matches` (boolean) - Notify me about new matches
+  - `notify_messages` (boolean) - Notify me about new messages
+  - `notify_super_likes` (boolean) - Notify me about super likes
+  - `push_notifications` (boolean) - Deliver notifications as browser push notifications
+  - `language` (text) - Interface language code
+  - `data_usage` (text) - auto, high-quality or data-saver
+  - `created_at`, `updated_at` (timestamptz)
+
+  ## 2. Modified Tables
+
+  ### `profiles`
+  - `profile_visibility` is limited to public, members-only, premium-only and hidden
+  - `contact_preference` is limited to anyone, premium-only and matches-only
+
+  ## 3. New Functions
+  - `get_user_settings()` - All settings of the current user as one JSON object
+  - `update_user_settings(settings jsonb)` - Validates and saves any subset of settings;
+    rejects unknown keys and invalid values with an error naming the field
+  - `reset_user_settings()` - Restores every setting to its default
+
+  ## 4. Security
+  - RLS on `user_settings`: users can only read and write their own row
+*/
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id uuid PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  show_distance boolean NOT NULL DEFAULT true,
+  show_age boolean NOT NULL DEFAULT true,
+  show_last_active boolean NOT NULL DEFAULT false,
+  read_receipts boolean NOT NULL DEFAULT false,
+  notify_new_matches boolean NOT NULL DEFAULT true,
+  notify_messages boolean NOT NULL DEFAULT true,
+  notify_super_likes boolean NOT NULL DEFAULT true,
+  push_notifications boolean NOT NULL DEFAULT false,
+  language text NOT NULL DEFAULT 'en' CHECK (language IN ('en', 'hi', 'ta', 'te', 'bn', 'gu')),
+  data_usage text NOT NULL DEFAULT 'auto' CHECK (data_usage IN ('auto', 'high-quality', 'data-saver')),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+-- User settings RLS Policies
+CREATE POLICY "Users can view own settings"
+  ON user_settings FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own settings"
+  ON user_settings FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own settings"
+  ON user_settings FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Normalize unexpected values before constraining the existing columns
+UPDATE profiles
+SET profile_visibility = 'public'
+WHERE profile_visibility IS NULL
+   OR profile_visibility NOT IN ('public', 'members-only', 'premium-only', 'hidden');
+
+UPDATE profiles
+SET contact_preference = 'anyone'
+WHERE contact_preference IS NULL
+   OR contact_preference NOT IN ('anyone', 'premium-only', 'matches-only');
+
+UPDATE profiles
+SET email_notifications = true
+WHERE email_notifications IS NULL;
+
+ALTER TABLE profiles
+  ALTER COLUMN profile_visibility SET NOT NULL,
+  ALTER COLUMN contact_preference SET NOT NULL,
+  ALTER COLUMN email_notifications SET NOT NULL;
+
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_profile_visibility_check
+  CHECK (profile_visibility IN ('public', 'members-only', 'premium-only', 'hidden'));
+
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_contact_preference_check
+  CHECK (contact_preference IN ('anyone', 'premium-only', 'matches-only'));
+
+-- Every existing user gets a settings row with the defaults
+INSERT INTO user_settings (user_id)
+SELECT id FROM profiles
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Create function to read all settings of the current user
+CREATE OR REPLACE FUNCTION get_user_settings()
+RETURNS jsonb AS $$
+DECLARE
+  current_user_id uuid := auth.uid();
+  result jsonb;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  INSERT INTO user_settings (user_id)
+  VALUES (current_user_id)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  SELECT
+    jsonb_build_object(
+      'profile_visibility', p.profile_visibility,
+      'contact_preference', p.contact_preference,
+      'email_notifications', p.email_notifications,
+      'interested_in', to_jsonb(pp.interested_in),
+      'max_distance_km', pp.max_distance_km
+    ) || (to_jsonb(s) - 'user_id' - 'created_at' - 'updated_at')
+  INTO result
+  FROM profiles p
+  JOIN user_settings s ON s.user_id = p.id
+  LEFT JOIN partner_preferences pp ON pp.user_id = p.id
+  WHERE p.id = current_user_id;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Create function to validate and save settings
+CREATE OR REPLACE FUNCTION update_user_settings(settings jsonb)
+RETURNS jsonb AS $$
+DECLARE
+  current_user_id uuid := auth.uid();
+  boolean_keys text[] := ARRAY[
+    'email_notifications', 'show_distance', 'show_age', 'show_last_active', 'read_receipts',
+    'notify_new_matches', 'notify_messages', 'notify_super_likes', 'push_notifications'
+  ];
+  allowed_keys text[] := boolean_keys || ARRAY[
+    'profile_visibility', 'contact_preference', 'interested_in', 'max_distance_km', 'language', 'data_usage'
+  ];
+  setting_key text;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF settings IS NULL OR jsonb_typeof(settings) <> 'object' THEN
+    RAISE EXCEPTION 'Settings must be a JSON object' USING ERRCODE = '22023';
+  END IF;
+
+  FOR setting_key IN SELECT jsonb_object_keys(settings) LOOP
+    IF NOT setting_key = ANY(allowed_keys) THEN
+      RAISE EXCEPTION 'Unknown setting: %', setting_key USING ERRCODE = '22023';
+    END IF;
+
+    IF setting_key = ANY(boolean_keys) AND jsonb_typeof(settings->setting_key) <> 'boolean' THEN
+      RAISE EXCEPTION 'Invalid value for %: expected true or false', setting_key USING ERRCODE = '22023';
+    END IF;
+  END LOOP;
+
+  IF settings ? 'profile_visibility'
+     AND NOT COALESCE(settings->>'profile_visibility' IN ('public', 'members-only', 'premium-only', 'hidden'), false) THEN
+    RAISE EXCEPTION 'Invalid value for profile_visibility' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'contact_preference'
+     AND NOT COALESCE(settings->>'contact_preference' IN ('anyone', 'premium-only', 'matches-only'), false) THEN
+    RAISE EXCEPTION 'Invalid value for contact_preference' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'language' AND NOT COALESCE(settings->>'language' IN ('en', 'hi', 'ta', 'te', 'bn', 'gu'), false) THEN
+    RAISE EXCEPTION 'Invalid value for language' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'data_usage'
+     AND NOT COALESCE(settings->>'data_usage' IN ('auto', 'high-quality', 'data-saver'), false) THEN
+    RAISE EXCEPTION 'Invalid value for data_usage' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'interested_in' AND (
+    jsonb_typeof(settings->'interested_in') <> 'array'
+    OR jsonb_array_length(settings->'interested_in') = 0
+    OR EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(settings->'interested_in') AS identity
+      WHERE jsonb_typeof(identity) <> 'string'
+         OR identity #>> '{}' NOT IN ('male', 'female', 'non-binary', 'other')
+    )
+  ) THEN
+    RAISE EXCEPTION 'Invalid value for interested_in: choose at least one of male, female, non-binary, other'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'max_distance_km' AND jsonb_typeof(settings->'max_distance_km') <> 'null' AND (
+    jsonb_typeof(settings->'max_distance_km') <> 'number'
+    OR (settings->>'max_distance_km')::numeric NOT BETWEEN 1 AND 5000
+    OR (settings->>'max_distance_km')::numeric <> trunc((settings->>'max_distance_km')::numeric)
+  ) THEN
+    RAISE EXCEPTION 'Invalid value for max_distance_km: expected a whole number of km between 1 and 5000, or null'
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE profiles
+  SET
+    profile_visibility = COALESCE(settings->>'profile_visibility', profile_visibility),
+    contact_preference = COALESCE(settings->>'contact_preference', contact_preference),
+    email_notifications = COALESCE((settings->>'email_notifications')::boolean, email_notifications)
+  WHERE id = current_user_id
+    AND (settings ?| ARRAY['profile_visibility', 'contact_preference', 'email_notifications']);
+
+  INSERT INTO user_settings (user_id)
+  VALUES (current_user_id)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  UPDATE user_settings
+  SET
+    show_distance = COALESCE((settings->>'show_distance')::boolean, show_distance),
+    show_age = COALESCE((settings->>'show_age')::boolean, show_age),
+    show_last_active = COALESCE((settings->>'show_last_active')::boolean, show_last_active),
+    read_receipts = COALESCE((settings->>'read_receipts')::boolean, read_receipts),
+    notify_new_matches = COALESCE((settings->>'notify_new_matches')::boolean, notify_new_matches),
+    notify_messages = COALESCE((settings->>'notify_messages')::boolean, notify_messages),
+    notify_super_likes = COALESCE((settings->>'notify_super_likes')::boolean, notify_super_likes),
+    push_notifications = COALESCE((settings->>'push_notifications')::boolean, push_notifications),
+    language = COALESCE(settings->>'language', language),
+    data_usage = COALESCE(settings->>'data_usage', data_usage)
+  WHERE user_id = current_user_id;
+
+  IF settings ?| ARRAY['interested_in', 'max_distance_km'] THEN
+    INSERT INTO partner_preferences (user_id)
+    VALUES (current_user_id)
+    ON CONFLICT (user_id) DO NOTHING;
+
+    UPDATE partner_preferences
+    SET
+      interested_in = CASE
+        WHEN settings ? 'interested_in'
+          THEN ARRAY(SELECT jsonb_array_elements_text(settings->'interested_in'))
+        ELSE interested_in
+      END,
+      max_distance_km = CASE
+        WHEN settings ? 'max_distance_km' THEN (settings->>'max_distance_km')::integer
+        ELSE max_distance_km
+      END
+    WHERE user_id = current_user_id;
+  END IF;
+
+  RETURN get_user_settings();
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Create function to restore every setting to its default
+CREATE OR REPLACE FUNCTION reset_user_settings()
+RETURNS jsonb AS $$
+DECLARE
+  current_user_id uuid := auth.uid();
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  UPDATE profiles
+  SET
+    profile_visibility = DEFAULT,
+    contact_preference = DEFAULT,
+    email_notifications = DEFAULT
+  WHERE id = current_user_id;
+
+  INSERT INTO user_settings (user_id)
+  VALUES (current_user_id)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  UPDATE user_settings
+  SET
+    show_distance = DEFAULT,
+    show_age = DEFAULT,
+    show_last_active = DEFAULT,
+    read_receipts = DEFAULT,
+    notify_new_matches = DEFAULT,
+    notify_messages = DEFAULT,
+    notify_super_likes = DEFAULT,
+    push_notifications = DEFAULT,
+    language = DEFAULT,
+    data_usage = DEFAULT
+  WHERE user_id = current_user_id;
+
+  -- Same defaults as defaultInterestedIn() in js/compatibility.js
+  UPDATE partner_preferences pp
+  SET
+    interested_in = CASE p.gender_identity
+      WHEN 'male' THEN ARRAY['female']::text[]
+      WHEN 'female' THEN ARRAY['male']::text[]
+      ELSE ARRAY['male', 'female', 'non-binary', 'other']::text[]
+    END,
+    max_distance_km = NULL
+  FROM profiles p
+  WHERE p.id = pp.user_id
+    AND pp.user_id = current_user_id;
+
+  RETURN get_user_settings();
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+CREATE TRIGGER update_user_settings_updated_at
+  BEFORE UPDATE ON user_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,282 @@
+/*
+  # Profile Visibility and Contact Preferences
+
+  ## Overview
+  `profile_visibility` and `contact_preference` are now enforced in RLS, in discovery and in
+  messaging instead of being stored and ignored.
+
+  Visibility modes:
+  - `public` - Anyone can find and read the profile
+  - `matches-only` - Only accepted matches can read it; it is not shown in discovery
+  - `incognito` - Only people the user has liked (and matches) can find and read it
+  - `hidden` - Nobody else can read it, and nobody can like or message the user
+
+  Contact preferences (who may like or message the user):
+  - `anyone` - Anyone who can see the profile
+  - `matches-only` - Only people the user has already liked, or matched with
+  - `verified-only` - Only users with a confirmed email or a linked wallet
+
+  Messages still require an accepted match on top of the contact preference.
+
+  ## 1. Modified Tables
+
+  ### `profiles`
+  - `profile_visibility` values: public, matches-only, incognito, hidden
+  - `contact_preference` values: anyone, matches-only, verified-only
+
+  ## 2. New Functions
+  - `is_user_verified(target_user_id)` - Confirmed email or a linked wallet
+  - `can_view_profile(viewer_id, owner_id)` - Visibility rules above, plus blocks
+  - `can_contact(sender, recipient)` - Contact rules above; requires `can_view_profile`
+
+  The same rules are implemented for the API and browser in DilseMatchify_frontend/js/visibility.js.
+
+  ## 3. Security
+  - Profile reads, reciprocal preference reads, likes and messages use the functions above
+  - `update_user_settings` accepts the new values
+  - The new functions are SECURITY DEFINER, so EXECUTE is revoked from `PUBLIC` and `anon`;
+    `is_user_verified` (which reads `auth.users`) is for the backend only
+
+  ## 4. Data Migration
+  - Visibility `members-only` becomes `public` (every viewer is a signed-in member)
+  - Visibility `premium-only` becomes `matches-only`, the closest restricted mode
+  - Contact `premium-only` becomes `verified-only`
+*/
+
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_profile_visibility_check;
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_contact_preference_check;
+
+UPDATE profiles SET profile_visibility = 'public' WHERE profile_visibility = 'members-only';
+UPDATE profiles SET profile_visibility = 'matches-only' WHERE profile_visibility = 'premium-only';
+UPDATE profiles SET contact_preference = 'verified-only' WHERE contact_preference = 'premium-only';
+
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_profile_visibility_check
+  CHECK (profile_visibility IN ('public', 'matches-only', 'incognito', 'hidden'));
+
+ALTER TABLE profiles
+  ADD CONSTRAINT profiles_contact_preference_check
+  CHECK (contact_preference IN ('anyone', 'matches-only', 'verified-only'));
+
+CREATE INDEX IF NOT EXISTS idx_profiles_visibility ON profiles(profile_visibility);
+
+-- Create function to check whether a user is verified
+CREATE OR REPLACE FUNCTION is_user_verified(target_user_id uuid)
+RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM auth.users u WHERE u.id = target_user_id AND u.email_confirmed_at IS NOT NULL
+  ) OR EXISTS (
+    SELECT 1 FROM wallet_addresses w WHERE w.user_id = target_user_id
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Reads auth.users, so only the backend and the functions below may call it
+REVOKE EXECUTE ON FUNCTION is_user_verified(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION is_user_verified(uuid) TO service_role;
+
+-- Create function to check whether one user may read another's profile
+CREATE OR REPLACE FUNCTION can_view_profile(viewer_id uuid, owner_id uuid)
+RETURNS boolean AS $$
+  SELECT CASE
+    WHEN viewer_id IS NULL OR owner_id IS NULL THEN false
+    WHEN viewer_id = owner_id THEN true
+    WHEN is_blocked_between(viewer_id, owner_id) THEN false
+    ELSE COALESCE((
+      SELECT CASE p.profile_visibility
+        WHEN 'public' THEN true
+        WHEN 'matches-only' THEN are_users_matched(viewer_id, owner_id)
+        WHEN 'incognito' THEN are_users_matched(viewer_id, owner_id) OR EXISTS (
+          SELECT 1 FROM likes l WHERE l.from_user_id = owner_id AND l.to_user_id = viewer_id
+        )
+        ELSE false
+      END
+      FROM profiles p
+      WHERE p.id = owner_id
+    ), false)
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION can_view_profile(uuid, uuid) FROM PUBLIC, anon;
+
+-- Create function to check whether one user may like or message another
+CREATE OR REPLACE FUNCTION can_contact(sender uuid, recipient uuid)
+RETURNS boolean AS $$
+  SELECT sender IS DISTINCT FROM recipient
+    AND can_view_profile(sender, recipient)
+    AND COALESCE((
+      SELECT CASE p.contact_preference
+        WHEN 'anyone' THEN true
+        WHEN 'matches-only' THEN are_users_matched(sender, recipient) OR EXISTS (
+          SELECT 1 FROM likes l WHERE l.from_user_id = recipient AND l.to_user_id = sender
+        )
+        WHEN 'verified-only' THEN is_user_verified(sender)
+        ELSE false
+      END
+      FROM profiles p
+      WHERE p.id = recipient
+    ), false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION can_contact(uuid, uuid) FROM PUBLIC, anon;
+
+-- Profile reads follow the visibility mode
+DROP POLICY IF EXISTS "Users can view public profiles" ON profiles;
+
+CREATE POLICY "Users can view visible profiles"
+  ON profiles FOR SELECT
+  TO authenticated
+  USING (can_view_profile(auth.uid(), id));
+
+-- Preference reads follow the visibility of the profile they belong to
+DROP POLICY IF EXISTS "Users can view preferences of visible profiles" ON partner_preferences;
+
+CREATE POLICY "Users can view preferences of visible profiles"
+  ON partner_preferences FOR SELECT
+  TO authenticated
+  USING (can_view_profile(auth.uid(), user_id));
+
+-- Likes follow the recipient's contact preference
+DROP POLICY IF EXISTS "Users can create likes" ON likes;
+
+CREATE POLICY "Users can create likes"
+  ON likes FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    from_user_id = auth.uid()
+    AND can_contact(from_user_id, to_user_id)
+  );
+
+-- Messages follow the recipient's contact preference and still require a match
+DROP POLICY IF EXISTS "Users can send messages to matches" ON messages;
+
+CREATE POLICY "Users can send messages to matches"
+  ON messages FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    sender_id = auth.uid()
+    AND are_users_matched(sender_id, receiver_id)
+    AND can_contact(sender_id, receiver_id)
+  );
+
+-- Accept the new visibility and contact values in settings
+CREATE OR REPLACE FUNCTION update_user_settings(settings jsonb)
+RETURNS jsonb AS $$
+DECLARE
+  current_user_id uuid := auth.uid();
+  boolean_keys text[] := ARRAY[
+    'email_notifications', 'show_distance', 'show_age', 'show_last_active', 'read_receipts',
+    'notify_new_matches', 'notify_messages', 'notify_super_likes', 'push_notifications'
+  ];
+  allowed_keys text[] := boolean_keys || ARRAY[
+    'profile_visibility', 'contact_preference', 'interested_in', 'max_distance_km', 'language', 'data_usage'
+  ];
+  setting_key text;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF settings IS NULL OR jsonb_typeof(settings) <> 'object' THEN
+    RAISE EXCEPTION 'Settings must be a JSON object' USING ERRCODE = '22023';
+  END IF;
+
+  FOR setting_key IN SELECT jsonb_object_keys(settings) LOOP
+    IF NOT setting_key = ANY(allowed_keys) THEN
+      RAISE EXCEPTION 'Unknown setting: %', setting_key USING ERRCODE = '22023';
+    END IF;
+
+    IF setting_key = ANY(boolean_keys) AND jsonb_typeof(settings->setting_key) <> 'boolean' THEN
+      RAISE EXCEPTION 'Invalid value for %: expected true or false', setting_key USING ERRCODE = '22023';
+    END IF;
+  END LOOP;
+
+  IF settings ? 'profile_visibility'
+     AND NOT COALESCE(settings->>'profile_visibility' IN ('public', 'matches-only', 'incognito', 'hidden'), false) THEN
+    RAISE EXCEPTION 'Invalid value for profile_visibility' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'contact_preference'
+     AND NOT COALESCE(settings->>'contact_preference' IN ('anyone', 'matches-only', 'verified-only'), false) THEN
+    RAISE EXCEPTION 'Invalid value for contact_preference' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'language' AND NOT COALESCE(settings->>'language' IN ('en', 'hi', 'ta', 'te', 'bn', 'gu'), false) THEN
+    RAISE EXCEPTION 'Invalid value for language' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'data_usage'
+     AND NOT COALESCE(settings->>'data_usage' IN ('auto', 'high-quality', 'data-saver'), false) THEN
+    RAISE EXCEPTION 'Invalid value for data_usage' USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'interested_in' AND (
+    jsonb_typeof(settings->'interested_in') <> 'array'
+    OR jsonb_array_length(settings->'interested_in') = 0
+    OR EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(settings->'interested_in') AS identity
+      WHERE jsonb_typeof(identity) <> 'string'
+         OR identity #>> '{}' NOT IN ('male', 'female', 'non-binary', 'other')
+    )
+  ) THEN
+    RAISE EXCEPTION 'Invalid value for interested_in: choose at least one of male, female, non-binary, other'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF settings ? 'max_distance_km' AND jsonb_typeof(settings->'max_distance_km') <> 'null' AND (
+    jsonb_typeof(settings->'max_distance_km') <> 'number'
+    OR (settings->>'max_distance_km')::numeric NOT BETWEEN 1 AND 5000
+    OR (settings->>'max_distance_km')::numeric <> trunc((settings->>'max_distance_km')::numeric)
+  ) THEN
+    RAISE EXCEPTION 'Invalid value for max_distance_km: expected a whole number of km between 1 and 5000, or null'
+      USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE profiles
+  SET
+    profile_visibility = COALESCE(settings->>'profile_visibility', profile_visibility),
+    contact_preference = COALESCE(settings->>'contact_preference', contact_preference),
+    email_notifications = COALESCE((settings->>'email_notifications')::boolean, email_notifications)
+  WHERE id = current_user_id
+    AND (settings ?| ARRAY['profile_visibility', 'contact_preference', 'email_notifications']);
+
+  INSERT INTO user_settings (user_id)
+  VALUES (current_user_id)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  UPDATE user_settings
+  SET
+    show_distance = COALESCE((settings->>'show_distance')::boolean, show_distance),
+    show_age = COALESCE((settings->>'show_age')::boolean, show_age),
+    show_last_active = COALESCE((settings->>'show_last_active')::boolean, show_last_active),
+    read_receipts = COALESCE((settings->>'read_receipts')::boolean, read_receipts),
+    notify_new_matches = COALESCE((settings->>'notify_new_matches')::boolean, notify_new_matches),
+    notify_messages = COALESCE((settings->>'notify_messages')::boolean, notify_messages),
+    notify_super_likes = COALESCE((settings->>'notify_super_likes')::boolean, notify_super_likes),
+    push_notifications = COALESCE((settings->>'push_notifications')::boolean, push_notifications),
+    language = COALESCE(settings->>'language', language),
+    data_usage = COALESCE(settings->>'data_usage', data_usage)
+  WHERE user_id = current_user_id;
+
+  IF settings ?| ARRAY['interested_in', 'max_distance_km'] THEN
+    INSERT INTO partner_preferences (user_id)
+    VALUES (current_user_id)
+    ON CONFLICT (user_id) DO NOTHING;
+
+    UPDATE partner_preferences
+    SET
+      interested_in = CASE
+        WHEN settings ? 'interested_in'
+          THEN ARRAY(SELECT jsonb_array_elements_text(settings->'interested_in'))
+        ELSE interested_in
+      END,
+      max_distance_km = CASE
+        WHEN settings ? 'max_distance_km' THEN (settings->>'max_distance_km')::integer
+        ELSE max_distance_km
+      END
+    WHERE user_id = current_user_id;
+  END IF;
+
+  RETURN get_user_settings();
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
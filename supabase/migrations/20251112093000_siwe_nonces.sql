@@ -0,0 +1,51 @@
+/*
+  # Sign-In With Ethereum Nonces
+
+  ## Overview
+  Wallet login now signs EIP-4361 (Sign-In With Ethereum) messages. Each nonce is issued
+  for one chain, and the chain ID in the signed message must match it.
+
+  ## 1. Modified Tables
+
+  ### `auth_nonces`
+  - `chain_id` (integer) - Chain the nonce was issued for
+
+  ## 2. New Functions
+  - `consume_auth_nonce(nonce_id)` - Marks an unused, unexpired nonce as used and returns
+    true, or returns false if it was already used or has expired. Two concurrent logins
+    with the same nonce cannot both succeed.
+
+  ## 3. Security
+  - Nonces are issued, read and consumed by the backend with the service role key. The
+    anon/authenticated read, insert and update policies are dropped, and only
+    service_role may call `consume_auth_nonce`
+*/
+
+-- Record the chain each nonce was issued for
+ALTER TABLE auth_nonces ADD COLUMN IF NOT EXISTS chain_id integer;
+
+ALTER TABLE auth_nonces DROP CONSTRAINT IF EXISTS auth_nonces_chain_id_check;
+ALTER TABLE auth_nonces ADD CONSTRAINT auth_nonces_chain_id_check CHECK (chain_id IS NULL OR chain_id > 0);
+
+-- Consume a nonce exactly once
+CREATE OR REPLACE FUNCTION consume_auth_nonce(nonce_id uuid)
+RETURNS boolean AS $$
+BEGIN
+  UPDATE auth_nonces
+  SET used = true
+  WHERE id = nonce_id
+    AND used = false
+    AND expires_at > now();
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql VOLATILE SECURITY DEFINER SET search_path = public;
+
+-- Anyone able to call it could burn other wallets' nonces
+REVOKE EXECUTE ON FUNCTION consume_auth_nonce(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION consume_auth_nonce(uuid) TO service_role;
+
+-- Only the backend issues and checks nonces, so clients get no direct access
+DROP POLICY IF EXISTS "Anyone can read unexpired nonces" ON auth_nonces;
+DROP POLICY IF EXISTS "Service can insert nonces" ON auth_nonces;
+DROP POLICY IF EXISTS "Service can update nonces" ON auth_nonces;
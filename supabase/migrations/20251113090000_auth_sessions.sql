@@ -0,0 +1,63 @@
+/*
+  # Wallet Sessions and Refresh Tokens
+
+  ## Overview
+  Wallet logins now get a short-lived access token (JWT, 15 minutes) and a refresh token
+  that is stored server-side and rotated on every use. Each login is a session; logging
+  out revokes the session, and "log out all devices" revokes every session of the user.
+
+  Presenting a refresh token that has already been rotated means it was copied, so the
+  whole session is revoked (reuse detection).
+
+  ## 1. New Tables
+
+  ### `auth_sessions`
+  - `id` (uuid, primary key) - Session ID, carried in access tokens as `sid`
+  - `user_id` (uuid, foreign key to profiles)
+  - `wallet_address` (text) - Wallet the session was opened with
+  - `user_agent` (text) - Client that opened the session
+  - `created_at`, `last_used_at` (timestamptz)
+  - `revoked_at` (timestamptz) - Set on logout, logout-all or reuse detection
+  - `revoked_reason` (text) - logout, logout-all or reuse
+
+  ### `auth_refresh_tokens`
+  - `id` (uuid, primary key)
+  - `session_id` (uuid, foreign key to auth_sessions)
+  - `token_hash` (text, unique) - SHA-256 of the refresh token; the token itself is never stored
+  - `expires_at` (timestamptz) - 30 days after issue
+  - `rotated_at` (timestamptz) - Set when exchanged for a new token
+  - `created_at` (timestamptz)
+
+  ## 2. Security
+  - RLS enabled with no policies: only the backend (service role) can read or write sessions
+*/
+
+-- Sessions
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  wallet_address text,
+  user_agent text,
+  created_at timestamptz DEFAULT now(),
+  last_used_at timestamptz DEFAULT now(),
+  revoked_at timestamptz,
+  revoked_reason text CHECK (revoked_reason IN ('logout', 'logout-all', 'reuse'))
+);
+
+-- Refresh tokens, one active per session
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id uuid REFERENCES auth_sessions(id) ON DELETE CASCADE NOT NULL,
+  token_hash text UNIQUE NOT NULL,
+  expires_at timestamptz NOT NULL,
+  rotated_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_refresh_tokens_session_id ON auth_refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_auth_refresh_tokens_expires ON auth_refresh_tokens(expires_at);
+
+-- Backend only
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_refresh_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,114 @@
+/*
+  # Wallet Management
+
+  ## Overview
+  Linking a wallet now requires a signed Sign-In With Ethereum message from that wallet,
+  checked by the backend. Users can list their wallets, unlink one (as long as they keep
+  a way to log in) and choose which wallet is primary.
+
+  ## 1. Modified Tables
+
+  ### `wallet_addresses`
+  - At most one primary wallet per user (existing duplicates keep the oldest)
+
+  ### `auth_sessions`
+  - `revoked_reason` may be `unlink`: sessions opened with a wallet end when it is unlinked
+
+  ## 2. New Functions
+  - `set_primary_wallet(target_user_id, target_wallet_address)` - Makes one wallet primary
+  - `unlink_wallet(target_user_id, target_wallet_address, keep_login)` - Removes a wallet,
+    promoting the oldest remaining one if it was primary. When `keep_login` is true the
+    last wallet cannot be removed.
+
+  Both run as the caller, so with the policies below removed only the backend can use them.
+
+  ## 3. Security
+  - Users can no longer insert, update or delete wallet_addresses directly; linking needs a
+    signature and goes through the backend
+*/
+
+-- Keep the oldest primary wallet per user
+UPDATE wallet_addresses w
+SET is_primary = false
+WHERE is_primary = true
+  AND EXISTS (
+    SELECT 1 FROM wallet_addresses other
+    WHERE other.user_id = w.user_id
+      AND other.is_primary = true
+      AND (other.created_at, other.id) < (w.created_at, w.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_addresses_one_primary
+  ON wallet_addresses(user_id) WHERE is_primary;
+
+-- Allow revoking sessions when their wallet is unlinked
+ALTER TABLE auth_sessions DROP CONSTRAINT IF EXISTS auth_sessions_revoked_reason_check;
+ALTER TABLE auth_sessions ADD CONSTRAINT auth_sessions_revoked_reason_check
+  CHECK (revoked_reason IN ('logout', 'logout-all', 'reuse', 'unlink'));
+
+-- Make one wallet primary
+CREATE OR REPLACE FUNCTION set_primary_wallet(target_user_id uuid, target_wallet_address text)
+RETURNS void AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM wallet_addresses
+    WHERE user_id = target_user_id AND wallet_address = target_wallet_address
+  ) THEN
+    RAISE EXCEPTION 'Wallet is not linked to this account';
+  END IF;
+
+  UPDATE wallet_addresses
+  SET is_primary = false
+  WHERE user_id = target_user_id AND is_primary AND wallet_address <> target_wallet_address;
+
+  UPDATE wallet_addresses
+  SET is_primary = true
+  WHERE user_id = target_user_id AND wallet_address = target_wallet_address;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Remove a wallet, keeping a login method and a primary wallet
+CREATE OR REPLACE FUNCTION unlink_wallet(target_user_id uuid, target_wallet_address text, keep_login boolean)
+RETURNS void AS $$
+DECLARE
+  removed wallet_addresses%ROWTYPE;
+  remaining integer;
+BEGIN
+  -- Lock the user's wallets so concurrent unlinks can't remove the last one together
+  PERFORM 1 FROM wallet_addresses WHERE user_id = target_user_id FOR UPDATE;
+
+  SELECT * INTO removed
+  FROM wallet_addresses
+  WHERE user_id = target_user_id AND wallet_address = target_wallet_address;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Wallet is not linked to this account';
+  END IF;
+
+  SELECT count(*) INTO remaining
+  FROM wallet_addresses
+  WHERE user_id = target_user_id AND id <> removed.id;
+
+  IF keep_login AND remaining = 0 THEN
+    RAISE EXCEPTION 'Cannot unlink your only login method';
+  END IF;
+
+  DELETE FROM wallet_addresses WHERE id = removed.id;
+
+  IF removed.is_primary AND remaining > 0 THEN
+    UPDATE wallet_addresses
+    SET is_primary = true
+    WHERE id = (
+      SELECT id FROM wallet_addresses
+      WHERE user_id = target_user_id
+      ORDER BY created_at, id
+      LIMIT 1
+    );
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Wallets change only through the backend
+DROP POLICY IF EXISTS "Users can insert their own wallet addresses" ON wallet_addresses;
+DROP POLICY IF EXISTS "Users can update their own wallet addresses" ON wallet_addresses;
+DROP POLICY IF EXISTS "Users can delete their own wallet addresses" ON wallet_addresses;
@@ -0,0 +1,122 @@
+/*
+  # Scheduled Jobs
+
+  ## Overview
+  The backend runs recurring maintenance jobs (nonce cleanup, session pruning, match score
+  recomputation). Every API instance schedules them, so each job takes a lease in
+  `scheduled_jobs` before running: only one instance runs a job per interval, and a
+  crashed run is retried once its lease expires.
+
+  ## 1. New Tables
+
+  ### `scheduled_jobs`
+  - `name` (text, primary key) - Job name
+  - `locked_by` (text) - Instance holding the lease
+  - `locked_until` (timestamptz) - Lease expiry
+  - `last_started_at`, `last_finished_at` (timestamptz)
+  - `last_status` (text) - succeeded or failed
+  - `last_result` (jsonb) - What the last successful run did
+  - `last_error` (text) - Why the last run failed
+
+  ## 2. New Functions
+  - `claim_job(job_name, instance_id, lease_seconds, interval_seconds)` - Takes the lease
+    if the job is due and not running elsewhere; returns whether it was taken
+  - `finish_job(job_name, instance_id, succeeded, result, error_message)` - Records the
+    outcome and releases the lease
+  - `prune_auth_sessions()` - Deletes sessions that were revoked over 7 days ago or whose
+    refresh tokens have all expired, then expired refresh tokens; returns sessions deleted
+
+  ## 3. Modified Functions
+  - `cleanup_expired_nonces()` now returns the number of nonces deleted
+
+  ## 4. Security
+  - RLS enabled with no policies: only the backend (service role) can read or write jobs
+*/
+
+-- Job leases and last outcomes
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name text PRIMARY KEY,
+  locked_by text,
+  locked_until timestamptz,
+  last_started_at timestamptz,
+  last_finished_at timestamptz,
+  last_status text CHECK (last_status IN ('succeeded', 'failed')),
+  last_result jsonb,
+  last_error text
+);
+
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Take a job's lease when it is due and not running on another instance
+CREATE OR REPLACE FUNCTION claim_job(job_name text, instance_id text, lease_seconds integer, interval_seconds integer)
+RETURNS boolean AS $$
+BEGIN
+  INSERT INTO scheduled_jobs (name) VALUES (job_name) ON CONFLICT (name) DO NOTHING;
+
+  UPDATE scheduled_jobs
+  SET locked_by = instance_id,
+      locked_until = now() + make_interval(secs => lease_seconds),
+      last_started_at = now()
+  WHERE name = job_name
+    AND (locked_until IS NULL OR locked_until < now())
+    AND (last_started_at IS NULL OR last_started_at <= now() - make_interval(secs => interval_seconds));
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Record the outcome and release the lease
+CREATE OR REPLACE FUNCTION finish_job(job_name text, instance_id text, succeeded boolean, result jsonb, error_message text)
+RETURNS void AS $$
+BEGIN
+  UPDATE scheduled_jobs
+  SET locked_by = NULL,
+      locked_until = NULL,
+      last_finished_at = now(),
+      last_status = CASE WHEN succeeded THEN 'succeeded' ELSE 'failed' END,
+      last_result = CASE WHEN succeeded THEN result ELSE last_result END,
+      last_error = CASE WHEN succeeded THEN NULL ELSE error_message END
+  WHERE name = job_name AND locked_by = instance_id;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Report how many nonces were removed
+DROP FUNCTION IF EXISTS cleanup_expired_nonces();
+
+CREATE FUNCTION cleanup_expired_nonces()
+RETURNS integer AS $$
+DECLARE
+  deleted integer;
+BEGIN
+  DELETE FROM auth_nonces
+  WHERE expires_at < now() - interval '1 hour';
+
+  GET DIAGNOSTICS deleted = ROW_COUNT;
+  RETURN deleted;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Remove sessions that can no longer be used
+CREATE OR REPLACE FUNCTION prune_auth_sessions()
+RETURNS integer AS $$
+DECLARE
+  deleted integer;
+BEGIN
+  DELETE FROM auth_sessions s
+  WHERE s.revoked_at < now() - interval '7 days'
+    OR (
+      s.revoked_at IS NULL
+      AND s.created_at < now() - interval '1 hour'
+      AND NOT EXISTS (
+        SELECT 1 FROM auth_refresh_tokens t
+        WHERE t.session_id = s.id AND t.expires_at > now()
+      )
+    );
+
+  GET DIAGNOSTICS deleted = ROW_COUNT;
+
+  DELETE FROM auth_refresh_tokens WHERE expires_at < now();
+
+  RETURN deleted;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
@@ -0,0 +1,89 @@
+/*
+  # Custom Wallet Backups
+
+  ## Overview
+  `custom_wallets` holds server backups of custom wallet keystores, encrypted in the
+  browser with the user's wallet password. The server never sees the password or the
+  private key. Users can restore a backup on a new device, re-encrypt it under a new
+  password and delete it.
+
+  ## 1. Modified Tables
+
+  ### `custom_wallets`
+  - `updated_at` (timestamptz) - When the keystore was last re-encrypted
+  - `encrypted_private_key` must be an encrypted JSON keystore for `wallet_address`
+    (checked for new and updated rows)
+  - `user_id` and `wallet_address` can no longer change once the backup exists
+
+  ## 2. Security
+  - Users can only back up a wallet linked to their account, which requires a signature
+    from that wallet
+  - Users can update their own backups, to change the keystore password
+  - Unlinking a wallet deletes its backup
+*/
+
+ALTER TABLE custom_wallets ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+
+-- Only encrypted keystores for the backed-up wallet; `address` in a keystore has no 0x prefix
+ALTER TABLE custom_wallets DROP CONSTRAINT IF EXISTS custom_wallets_keystore_check;
+ALTER TABLE custom_wallets ADD CONSTRAINT custom_wallets_keystore_check
+  CHECK (
+    (encrypted_private_key::jsonb ? 'crypto' OR encrypted_private_key::jsonb ? 'Crypto')
+    AND lower(encrypted_private_key::jsonb ->> 'address') = lower(substr(wallet_address, 3))
+  ) NOT VALID;
+
+CREATE OR REPLACE FUNCTION protect_custom_wallet_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.user_id IS DISTINCT FROM OLD.user_id OR NEW.wallet_address IS DISTINCT FROM OLD.wallet_address THEN
+    RAISE EXCEPTION 'A wallet backup cannot be moved to another user or wallet';
+  END IF;
+
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_custom_wallet_owner ON custom_wallets;
+CREATE TRIGGER protect_custom_wallet_owner
+  BEFORE UPDATE ON custom_wallets
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_custom_wallet_owner();
+
+-- Unlinking a wallet removes its backup
+CREATE OR REPLACE FUNCTION delete_unlinked_wallet_backup()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM custom_wallets
+  WHERE user_id = OLD.user_id AND wallet_address = OLD.wallet_address;
+
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+DROP TRIGGER IF EXISTS delete_unlinked_wallet_backup ON wallet_addresses;
+CREATE TRIGGER delete_unlinked_wallet_backup
+  AFTER DELETE ON wallet_addresses
+  FOR EACH ROW
+  EXECUTE FUNCTION delete_unlinked_wallet_backup();
+
+-- Backups only for the user's own linked wallets
+DROP POLICY IF EXISTS "Users can insert their own custom wallets" ON custom_wallets;
+
+CREATE POLICY "Users can back up their own linked wallets"
+  ON custom_wallets FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM wallet_addresses
+      WHERE wallet_addresses.user_id = auth.uid()
+        AND wallet_addresses.wallet_address = custom_wallets.wallet_address
+    )
+  );
+
+CREATE POLICY "Users can update their own custom wallets"
+  ON custom_wallets FOR UPDATE
+  TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
@@ -0,0 +1,186 @@
+/*
+  # Account Linking
+
+  ## Overview
+  Email and wallet logins can belong to the same account: wallet accounts can add an email
+  and password, and email accounts can link wallets. Someone who made two accounts by
+  accident can merge one into the other.
+
+  ## 1. New Functions
+  - `merge_accounts(source_user_id, target_user_id, keep_source_profile)` - Moves the
+    source account's wallets, wallet backups, likes, passes, blocks, matches and messages
+    to the target account. Rows the target already has (e.g. both liked the same person)
+    and rows between the two accounts are dropped. With `keep_source_profile` the
+    target's profile, partner preferences and settings are replaced by the source's.
+    The backend then deletes the source user. Runs as the caller, so only the backend
+    can use it.
+  - `sync_profile_email()` - Keeps `profiles.email` equal to the login email when a user
+    confirms a new email address
+
+  ## 2. Modified Functions
+  - `restrict_message_updates()` and `protect_custom_wallet_owner()` let merge_accounts
+    move rows to the merged account
+*/
+
+-- Message and wallet backup owners are fixed, except while merging accounts
+CREATE OR REPLACE FUNCTION restrict_message_updates()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.merging_accounts', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.sender_id <> OLD.sender_id
+    OR NEW.receiver_id <> OLD.receiver_id
+    OR NEW.content <> OLD.content
+    OR NEW.created_at <> OLD.created_at THEN
+    RAISE EXCEPTION 'Only the read status of a message can be updated';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION protect_custom_wallet_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.user_id IS DISTINCT FROM OLD.user_id AND current_setting('app.merging_accounts', true) IS DISTINCT FROM 'on')
+    OR NEW.wallet_address IS DISTINCT FROM OLD.wallet_address THEN
+    RAISE EXCEPTION 'A wallet backup cannot be moved to another user or wallet';
+  END IF;
+
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Merge one account into another
+CREATE OR REPLACE FUNCTION merge_accounts(source_user_id uuid, target_user_id uuid, keep_source_profile boolean)
+RETURNS void AS $$
+DECLARE
+  profile_assignments text;
+BEGIN
+  IF source_user_id = target_user_id THEN
+    RAISE EXCEPTION 'Cannot merge an account into itself';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM profiles WHERE id = source_user_id)
+    OR NOT EXISTS (SELECT 1 FROM profiles WHERE id = target_user_id) THEN
+    RAISE EXCEPTION 'Account not found';
+  END IF;
+
+  PERFORM set_config('app.merging_accounts', 'on', true);
+
+  -- Wallets; the target keeps its primary wallet if it has one
+  UPDATE wallet_addresses
+  SET user_id = target_user_id,
+      is_primary = is_primary AND NOT EXISTS (
+        SELECT 1 FROM wallet_addresses WHERE user_id = target_user_id AND is_primary
+      )
+  WHERE user_id = source_user_id;
+
+  UPDATE custom_wallets SET user_id = target_user_id WHERE user_id = source_user_id;
+
+  -- Likes, passes and blocks: drop rows between the two accounts and ones the target has
+  DELETE FROM likes
+  WHERE (from_user_id = source_user_id AND to_user_id = target_user_id)
+     OR (from_user_id = target_user_id AND to_user_id = source_user_id);
+  DELETE FROM likes l
+  WHERE l.from_user_id = source_user_id
+    AND EXISTS (SELECT 1 FROM likes t WHERE t.from_user_id = target_user_id AND t.to_user_id = l.to_user_id);
+  DELETE FROM likes l
+  WHERE l.to_user_id = source_user_id
+    AND EXISTS (SELECT 1 FROM likes t WHERE t.to_user_id = target_user_id AND t.from_user_id = l.from_user_id);
+  UPDATE likes SET from_user_id = target_user_id WHERE from_user_id = source_user_id;
+  UPDATE likes SET to_user_id = target_user_id WHERE to_user_id = source_user_id;
+
+  DELETE FROM passes
+  WHERE (from_user_id = source_user_id AND to_user_id = target_user_id)
+     OR (from_user_id = target_user_id AND to_user_id = source_user_id);
+  DELETE FROM passes p
+  WHERE p.from_user_id = source_user_id
+    AND EXISTS (SELECT 1 FROM passes t WHERE t.from_user_id = target_user_id AND t.to_user_id = p.to_user_id);
+  DELETE FROM passes p
+  WHERE p.to_user_id = source_user_id
+    AND EXISTS (SELECT 1 FROM passes t WHERE t.to_user_id = target_user_id AND t.from_user_id = p.from_user_id);
+  UPDATE passes SET from_user_id = target_user_id WHERE from_user_id = source_user_id;
+  UPDATE passes SET to_user_id = target_user_id WHERE to_user_id = source_user_id;
+
+  DELETE FROM blocks
+  WHERE (blocker_id = source_user_id AND blocked_id = target_user_id)
+     OR (blocker_id = target_user_id AND blocked_id = source_user_id);
+  DELETE FROM blocks b
+  WHERE b.blocker_id = source_user_id
+    AND EXISTS (SELECT 1 FROM blocks t WHERE t.blocker_id = target_user_id AND t.blocked_id = b.blocked_id);
+  DELETE FROM blocks b
+  WHERE b.blocked_id = source_user_id
+    AND EXISTS (SELECT 1 FROM blocks t WHERE t.blocked_id = target_user_id AND t.blocker_id = b.blocker_id);
+  UPDATE blocks SET blocker_id = target_user_id WHERE blocker_id = source_user_id;
+  UPDATE blocks SET blocked_id = target_user_id WHERE blocked_id = source_user_id;
+
+  -- Matches are mirrored, so both rows of a pair move (or are dropped) together
+  DELETE FROM matches
+  WHERE (user_id = source_user_id AND matched_user_id = target_user_id)
+     OR (user_id = target_user_id AND matched_user_id = source_user_id);
+  DELETE FROM matches m
+  WHERE m.user_id = source_user_id
+    AND EXISTS (SELECT 1 FROM matches t WHERE t.user_id = target_user_id AND t.matched_user_id = m.matched_user_id);
+  DELETE FROM matches m
+  WHERE m.matched_user_id = source_user_id
+    AND EXISTS (SELECT 1 FROM matches t WHERE t.matched_user_id = target_user_id AND t.user_id = m.user_id);
+  UPDATE matches SET user_id = target_user_id WHERE user_id = source_user_id;
+  UPDATE matches SET matched_user_id = target_user_id WHERE matched_user_id = source_user_id;
+
+  -- Messages between the two accounts are dropped; conversations with others move
+  DELETE FROM messages
+  WHERE (sender_id = source_user_id AND receiver_id = target_user_id)
+     OR (sender_id = target_user_id AND receiver_id = source_user_id);
+  UPDATE messages SET sender_id = target_user_id WHERE sender_id = source_user_id;
+  UPDATE messages SET receiver_id = target_user_id WHERE receiver_id = source_user_id;
+
+  -- Profile: every column except identity and timestamps, so new columns are included
+  IF keep_source_profile THEN
+    SELECT string_agg(format('%I = s.%I', column_name, column_name), ', ')
+    INTO profile_assignments
+    FROM information_schema.columns
+    WHERE table_schema = 'public'
+      AND table_name = 'profiles'
+      AND column_name NOT IN ('id', 'email', 'created_at', 'updated_at');
+
+    EXECUTE format('UPDATE profiles SET %s FROM profiles s WHERE profiles.id = $1 AND s.id = $2', profile_assignments)
+    USING target_user_id, source_user_id;
+
+    DELETE FROM partner_preferences
+    WHERE user_id = target_user_id
+      AND EXISTS (SELECT 1 FROM partner_preferences WHERE user_id = source_user_id);
+    DELETE FROM user_settings
+    WHERE user_id = target_user_id
+      AND EXISTS (SELECT 1 FROM user_settings WHERE user_id = source_user_id);
+  END IF;
+
+  -- Preferences and settings the target lacks come from the source either way
+  UPDATE partner_preferences SET user_id = target_user_id
+  WHERE user_id = source_user_id
+    AND NOT EXISTS (SELECT 1 FROM partner_preferences WHERE user_id = target_user_id);
+  UPDATE user_settings SET user_id = target_user_id
+  WHERE user_id = source_user_id
+    AND NOT EXISTS (SELECT 1 FROM user_settings WHERE user_id = target_user_id);
+
+  PERFORM set_config('app.merging_accounts', 'off', true);
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+-- Keep the profile email in step with the login email
+CREATE OR REPLACE FUNCTION sync_profile_email()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.profiles SET email = NEW.email WHERE id = NEW.id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sync_profile_email ON auth.users;
+CREATE TRIGGER sync_profile_email
+  AFTER UPDATE OF email ON auth.users
+  FOR EACH ROW
+  WHEN (NEW.email IS DISTINCT FROM OLD.email AND NEW.email IS NOT NULL)
+  EXECUTE FUNCTION sync_profile_email();
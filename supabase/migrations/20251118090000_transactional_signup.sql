@@ -0,0 +1,81 @@
+/*
+  # Transactional Signup
+
+  ## Overview
+  Email signups used to create the profile and the partner preferences with two separate
+  inserts from the browser, so a failure in between left users with a profile and no
+  preferences (or, before email confirmation, no profile at all). The backend now
+  validates the signup form, creates the auth user and calls `create_signup_profile`,
+  which writes the profile, partner preferences and settings in one transaction. If it
+  fails, the backend deletes the auth user again.
+
+  ## 1. New Functions
+  - `create_signup_profile(new_user_id, profile, preferences)` - Inserts the `profiles`
+    row, the `partner_preferences` row and the `user_settings` row for a new user.
+    `profile` and `preferences` are JSON objects keyed by column name; columns they leave
+    out keep their defaults. Rejects unknown columns and members under 18. Runs as the
+    caller, so only the backend can use it for other users.
+*/
+
+CREATE OR REPLACE FUNCTION create_signup_profile(new_user_id uuid, profile jsonb, preferences jsonb)
+RETURNS void AS $$
+DECLARE
+  profile_columns text;
+  preference_columns text;
+  unknown_column text;
+BEGIN
+  IF jsonb_typeof(profile) IS DISTINCT FROM 'object' OR jsonb_typeof(preferences) IS DISTINCT FROM 'object' THEN
+    RAISE EXCEPTION 'Profile and preferences must be JSON objects' USING ERRCODE = '22023';
+  END IF;
+
+  -- The new user's id is the one passed in, never one from the payload
+  profile := profile - 'id';
+  preferences := preferences - 'id' - 'user_id';
+
+  SELECT key INTO unknown_column
+  FROM jsonb_object_keys(profile) AS key
+  WHERE key NOT IN (
+    SELECT column_name FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'profiles'
+  )
+  LIMIT 1;
+
+  IF unknown_column IS NOT NULL THEN
+    RAISE EXCEPTION 'Unknown profile column: %', unknown_column USING ERRCODE = '22023';
+  END IF;
+
+  SELECT key INTO unknown_column
+  FROM jsonb_object_keys(preferences) AS key
+  WHERE key NOT IN (
+    SELECT column_name FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'partner_preferences'
+  )
+  LIMIT 1;
+
+  IF unknown_column IS NOT NULL THEN
+    RAISE EXCEPTION 'Unknown partner preference column: %', unknown_column USING ERRCODE = '22023';
+  END IF;
+
+  IF (profile->>'date_of_birth')::date > current_date - interval '18 years' THEN
+    RAISE EXCEPTION 'Members must be at least 18 years old' USING ERRCODE = '22023';
+  END IF;
+
+  -- Only the given columns, so the rest keep their defaults
+  SELECT string_agg(', ' || quote_ident(key), '') INTO profile_columns FROM jsonb_object_keys(profile) AS key;
+  SELECT string_agg(', ' || quote_ident(key), '') INTO preference_columns FROM jsonb_object_keys(preferences) AS key;
+
+  EXECUTE format(
+    'INSERT INTO profiles (id%1$s) SELECT $1%1$s FROM jsonb_populate_record(NULL::profiles, $2)',
+    COALESCE(profile_columns, '')
+  ) USING new_user_id, profile;
+
+  EXECUTE format(
+    'INSERT INTO partner_preferences (user_id%1$s) SELECT $1%1$s FROM jsonb_populate_record(NULL::partner_preferences, $2)',
+    COALESCE(preference_columns, '')
+  ) USING new_user_id, preferences;
+
+  INSERT INTO user_settings (user_id)
+  VALUES (new_user_id)
+  ON CONFLICT (user_id) DO NOTHING;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
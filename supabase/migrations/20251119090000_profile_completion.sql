@@ -0,0 +1,123 @@
+/*
+  # Profile Completion
+
+  ## Overview
+  `profiles.profile_completion` was scored once from 12 signup fields (and set to 10 for
+  wallet users) and never updated. It is now computed by the database from the profile's
+  current state, including photos, interests, about me and partner preferences, whenever
+  the profile or its partner preferences change. Clients can no longer write it.
+
+  ## 1. New Functions
+  - `profile_completion_status(profile, preferences)` - The one definition of profile
+    completion: the percentage of items filled in and the keys of the missing ones, in
+    the order the profile page shows them. Every item counts equally:
+    `profile_photo`, `more_photos` (at least 2 photos), `about_me`, `looking_for`,
+    `interests` (at least 3), `date_of_birth`, `gender`, `phone`, `location` (city and
+    state), `religion`, `mother_tongue`, `education`, `occupation`, `height`,
+    `marital_status`, `dietary_preferences`, `partner_age_range` (min and max age)
+  - `get_profile_completion()` - `{ percentage, missing }` for the current user
+
+  ## 2. Triggers
+  - `set_profile_completion` (profiles, before insert or update) - Stores the percentage
+  - `refresh_profile_completion` (partner_preferences, after insert, update or delete) -
+    Recomputes the owner's percentage
+
+  ## 3. Data Migration
+  - Every existing profile's percentage is recomputed
+*/
+
+CREATE OR REPLACE FUNCTION profile_completion_status(profile profiles, preferences partner_preferences)
+RETURNS TABLE (percentage integer, missing text[]) AS $$
+  SELECT
+    round(100.0 * count(*) FILTER (WHERE complete IS TRUE) / count(*))::integer,
+    COALESCE(array_agg(item ORDER BY position) FILTER (WHERE complete IS NOT TRUE), ARRAY[]::text[])
+  FROM (VALUES
+    (1, 'profile_photo', profile.profile_photo_url IS NOT NULL),
+    (2, 'more_photos', jsonb_array_length(COALESCE(profile.additional_photos, '[]'::jsonb)) >= 2),
+    (3, 'about_me', nullif(trim(profile.about_me), '') IS NOT NULL),
+    (4, 'looking_for', nullif(trim(profile.looking_for), '') IS NOT NULL),
+    (5, 'interests', jsonb_typeof(profile.interests) = 'array' AND jsonb_array_length(profile.interests) >= 3),
+    (6, 'date_of_birth', profile.date_of_birth IS NOT NULL),
+    (7, 'gender', nullif(profile.gender, '') IS NOT NULL),
+    (8, 'phone', nullif(trim(profile.phone), '') IS NOT NULL),
+    (9, 'location', nullif(trim(profile.city), '') IS NOT NULL AND nullif(trim(profile.state), '') IS NOT NULL),
+    (10, 'religion', nullif(profile.religion, '') IS NOT NULL),
+    (11, 'mother_tongue', nullif(trim(profile.mother_tongue), '') IS NOT NULL),
+    (12, 'education', nullif(profile.education, '') IS NOT NULL),
+    (13, 'occupation', nullif(trim(profile.occupation), '') IS NOT NULL),
+    (14, 'height', nullif(profile.height, '') IS NOT NULL),
+    (15, 'marital_status', nullif(profile.marital_status, '') IS NOT NULL),
+    (16, 'dietary_preferences', nullif(profile.dietary_preferences, '') IS NOT NULL),
+    (17, 'partner_age_range', preferences.min_age IS NOT NULL AND preferences.max_age IS NOT NULL)
+  ) AS items(position, item, complete);
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- Profiles store their own percentage; whatever a client sends is replaced
+CREATE OR REPLACE FUNCTION set_profile_completion()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT status.percentage INTO NEW.profile_completion
+  FROM profile_completion_status(
+    NEW,
+    (SELECT pp FROM partner_preferences pp WHERE pp.user_id = NEW.id)
+  ) AS status;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+DROP TRIGGER IF EXISTS set_profile_completion ON profiles;
+CREATE TRIGGER set_profile_completion
+  BEFORE INSERT OR UPDATE ON profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION set_profile_completion();
+
+-- Preference changes recompute the owner's percentage (through set_profile_completion)
+CREATE OR REPLACE FUNCTION refresh_profile_completion()
+RETURNS TRIGGER AS $$
+DECLARE
+  owner_id uuid := CASE WHEN TG_OP = 'DELETE' THEN OLD.user_id ELSE NEW.user_id END;
+  new_percentage integer;
+BEGIN
+  SELECT status.percentage INTO new_percentage
+  FROM profiles p
+  CROSS JOIN LATERAL profile_completion_status(
+    p,
+    (SELECT pp FROM partner_preferences pp WHERE pp.user_id = p.id)
+  ) AS status
+  WHERE p.id = owner_id;
+
+  -- Only when it changed, so preference edits don't touch the profile's updated_at
+  UPDATE profiles
+  SET profile_completion = new_percentage
+  WHERE id = owner_id
+    AND profile_completion IS DISTINCT FROM new_percentage;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+DROP TRIGGER IF EXISTS refresh_profile_completion ON partner_preferences;
+CREATE TRIGGER refresh_profile_completion
+  AFTER INSERT OR UPDATE OR DELETE ON partner_preferences
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_profile_completion();
+
+-- Percentage and missing items for the current user
+CREATE OR REPLACE FUNCTION get_profile_completion()
+RETURNS jsonb AS $$
+  SELECT jsonb_build_object('percentage', status.percentage, 'missing', to_jsonb(status.missing))
+  FROM profiles p
+  CROSS JOIN LATERAL profile_completion_status(
+    p,
+    (SELECT pp FROM partner_preferences pp WHERE pp.user_id = p.id)
+  ) AS status
+  WHERE p.id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY INVOKER SET search_path = public;
+
+-- Recompute existing profiles without bumping their updated_at
+ALTER TABLE profiles DISABLE TRIGGER update_profiles_updated_at;
+
+UPDATE profiles SET profile_completion = profile_completion;
+
+ALTER TABLE profiles ENABLE TRIGGER update_profiles_updated_at;
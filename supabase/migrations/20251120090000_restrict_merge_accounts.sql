@@ -0,0 +1,17 @@
+/*
+  # Restrict merge_accounts
+
+  ## Overview
+  `merge_accounts` runs as the caller, but PostgreSQL grants EXECUTE on new functions to
+  PUBLIC, so any signed-in user could call it through the API. It turns on
+  `app.merging_accounts` for its transaction, which lifts the ownership checks in
+  `restrict_message_updates()` and `protect_custom_wallet_owner()`. Only the backend
+  (service role) may call it now.
+
+  ## 1. Security
+  - EXECUTE on `merge_accounts(uuid, uuid, boolean)` is revoked from `PUBLIC`, `anon`
+    and `authenticated`
+*/
+
+REVOKE EXECUTE ON FUNCTION merge_accounts(uuid, uuid, boolean) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_accounts(uuid, uuid, boolean) TO service_role;
@@ -0,0 +1,15 @@
+/*
+  # Restrict create_signup_profile
+
+  ## Overview
+  `create_signup_profile` runs as the caller, but PostgreSQL grants EXECUTE on new
+  functions to PUBLIC, so clients could call it directly and skip the backend's signup
+  validation. Only the backend (service role) may call it now.
+
+  ## 1. Security
+  - EXECUTE on `create_signup_profile(uuid, jsonb, jsonb)` is revoked from `PUBLIC`,
+    `anon` and `authenticated`
+*/
+
+REVOKE EXECUTE ON FUNCTION create_signup_profile(uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_signup_profile(uuid, jsonb, jsonb) TO service_role;
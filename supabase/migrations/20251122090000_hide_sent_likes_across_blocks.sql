@@ -0,0 +1,22 @@
+/*
+  # Hide Sent Likes Across Blocks
+
+  ## Overview
+  "Users can view likes they received" hides likes across a block, but "Users can view
+  likes they sent" still showed every like the user sent, including likes to someone
+  who has blocked them. It now checks for a block like the other likes, matches and
+  messages policies.
+
+  ## 1. Security
+  - "Users can view likes they sent" hides likes between users who have blocked each other
+*/
+
+DROP POLICY IF EXISTS "Users can view likes they sent" ON likes;
+
+CREATE POLICY "Users can view likes they sent"
+  ON likes FOR SELECT
+  TO authenticated
+  USING (
+    from_user_id = auth.uid()
+    AND NOT is_blocked_between(from_user_id, to_user_id)
+  );
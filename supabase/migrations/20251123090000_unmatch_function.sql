@@ -0,0 +1,55 @@
+/*
+  # Unmatch Through a Function
+
+  ## Overview
+  Clients ended a match by updating their `matches` row under "Users can update their
+  matches". That policy let either participant set any status or score, and
+  `sync_mirrored_match()` copied it to the other side, so an unmatched (or rejected)
+  match could be set back to 'accepted'. Clients can no longer update `matches`; they
+  call `unmatch_user`, which only moves an accepted match to 'unmatched'.
+
+  ## 1. New Functions
+  - `unmatch_user(other_user_id)` - Sets both rows of the current user's accepted match
+    with the other user to 'unmatched' and deletes the current user's like, so they
+    stop appearing in each other's likes. Returns the current user's row. Raises
+    `P0002` (404) when there is no accepted match.
+
+  ## 2. Security
+  - Dropped "Users can update their matches"; match rows are written only by the
+    backend and by `unmatch_user` and `apply_block()`
+*/
+
+DROP POLICY IF EXISTS "Users can update their matches" ON matches;
+
+CREATE OR REPLACE FUNCTION unmatch_user(other_user_id uuid)
+RETURNS matches AS $$
+DECLARE
+  current_user_id uuid := auth.uid();
+  ended matches;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- sync_mirrored_match() ends the other user's row too
+  UPDATE matches
+  SET status = 'unmatched'
+  WHERE user_id = current_user_id
+    AND matched_user_id = other_user_id
+    AND status = 'accepted'
+  RETURNING * INTO ended;
+
+  IF ended.id IS NULL THEN
+    RAISE EXCEPTION 'Match not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  DELETE FROM likes
+  WHERE from_user_id = current_user_id
+    AND to_user_id = other_user_id;
+
+  RETURN ended;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION unmatch_user(uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION unmatch_user(uuid) TO authenticated;
@@ -0,0 +1,18 @@
+/*
+  # Server-Side Match Scores
+
+  ## Overview
+  `create_mutual_match(other_user_id, score)` stored whatever score the client passed,
+  and "Users can update their matches" let either participant rewrite
+  `compatibility_score`. Matches are now created only by the backend, which scores the
+  pair itself with `calculateCompatibility` (`createMatch` in
+  `backend/matching-service.js`) and keeps scores current with the
+  `recompute-match-scores` job. The UPDATE policy was dropped with `unmatch_user()`, so
+  clients cannot write scores at all.
+
+  ## 1. Removed Functions
+  - `create_mutual_match(other_user_id, score)` - No longer called; the backend creates
+    both mirrored rows when a like is reciprocated
+*/
+
+DROP FUNCTION IF EXISTS create_mutual_match(uuid, integer);
@@ -0,0 +1,62 @@
+/*
+  # End Supabase Sessions on Logout
+
+  ## Overview
+  Wallet logins get a wallet session (`auth_sessions`) and a regular Supabase session,
+  but logging out only revoked the wallet session. The Supabase access and refresh
+  tokens kept working, and the backend accepts Supabase access tokens too. Wallet
+  sessions now remember the Supabase session issued with them, and logging out ends it
+  as well. "Log out all devices" ends every Supabase session of the user, including
+  email logins.
+
+  ## 1. Modified Tables
+
+  ### `auth_sessions`
+  - `supabase_session_id` (uuid) - The Supabase session (`auth.sessions.id`) issued
+    with this wallet session
+
+  ## 2. New Functions
+  - `end_supabase_sessions(target_user_id, session_ids)` - Deletes the given Supabase
+    sessions of a user; their refresh tokens go with them and their access tokens are
+    rejected by `auth.getUser`
+  - `end_all_supabase_sessions(target_user_id)` - Deletes every Supabase session of a
+    user
+
+  ## 3. Security
+  - Both functions are for the backend only; EXECUTE is revoked from `PUBLIC`, `anon`
+    and `authenticated`
+*/
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS supabase_session_id uuid;
+
+CREATE OR REPLACE FUNCTION end_supabase_sessions(target_user_id uuid, session_ids uuid[])
+RETURNS integer AS $$
+DECLARE
+  ended integer;
+BEGIN
+  DELETE FROM auth.sessions
+  WHERE user_id = target_user_id
+    AND id = ANY(session_ids);
+
+  GET DIAGNOSTICS ended = ROW_COUNT;
+  RETURN ended;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION end_all_supabase_sessions(target_user_id uuid)
+RETURNS integer AS $$
+DECLARE
+  ended integer;
+BEGIN
+  DELETE FROM auth.sessions
+  WHERE user_id = target_user_id;
+
+  GET DIAGNOSTICS ended = ROW_COUNT;
+  RETURN ended;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION end_supabase_sessions(uuid, uuid[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION end_all_supabase_sessions(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION end_supabase_sessions(uuid, uuid[]) TO service_role;
+GRANT EXECUTE ON FUNCTION end_all_supabase_sessions(uuid) TO service_role;
@@ -0,0 +1,48 @@
+/*
+  # Matches-Only Profiles Can Be Liked Back
+
+  ## Overview
+  A `matches-only` profile could only be read by accepted matches, and liking someone
+  requires being able to read their profile, so nobody could ever like a matches-only
+  user and they could never match. People the owner has liked can now read the profile
+  and like back, as with `incognito`. The modes still differ in discovery: incognito
+  profiles are shown to people the owner liked, matches-only profiles to nobody.
+
+  Visibility modes:
+  - `public` - Anyone can find and read the profile
+  - `matches-only` - Matches and people the user has liked can read it; it is not shown
+    in discovery
+  - `incognito` - Only people the user has liked (and matches) can find and read it
+  - `hidden` - Nobody else can read it, and nobody can like or message the user
+
+  ## 1. Modified Functions
+  - `can_view_profile(viewer_id, owner_id)` - `matches-only` also allows people the
+    owner has liked. `can_contact` builds on it and needs no change.
+
+  ## 2. Security
+  - EXECUTE stays revoked from `PUBLIC` and `anon`
+
+  The same rules are implemented for the API and browser in DilseMatchify_frontend/js/visibility.js.
+*/
+
+CREATE OR REPLACE FUNCTION can_view_profile(viewer_id uuid, owner_id uuid)
+RETURNS boolean AS $$
+  SELECT CASE
+    WHEN viewer_id IS NULL OR owner_id IS NULL THEN false
+    WHEN viewer_id = owner_id THEN true
+    WHEN is_blocked_between(viewer_id, owner_id) THEN false
+    ELSE COALESCE((
+      SELECT CASE
+        WHEN p.profile_visibility = 'public' THEN true
+        WHEN p.profile_visibility IN ('matches-only', 'incognito') THEN are_users_matched(viewer_id, owner_id) OR EXISTS (
+          SELECT 1 FROM likes l WHERE l.from_user_id = owner_id AND l.to_user_id = viewer_id
+        )
+        ELSE false
+      END
+      FROM profiles p
+      WHERE p.id = owner_id
+    ), false)
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION can_view_profile(uuid, uuid) FROM PUBLIC, anon;
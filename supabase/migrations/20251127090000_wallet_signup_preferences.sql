@@ -0,0 +1,26 @@
+/*
+  # Wallet Signup Preferences
+
+  ## Overview
+  Wallet logins used to create only a `profiles` row for new users, with no partner
+  preferences and no settings. Without a `partner_preferences` row a user never appears
+  in anyone's discovery feed. New wallet users now go through `create_signup_profile`
+  like email signups; this backfills the rows for the wallet users created before.
+
+  ## 1. Data Migration
+  - Profiles without a `partner_preferences` row get one with the column defaults
+    (`interested_in` is every identity until they choose)
+  - Profiles without a `user_settings` row get one with the column defaults
+*/
+
+INSERT INTO partner_preferences (user_id)
+SELECT p.id
+FROM profiles p
+WHERE NOT EXISTS (
+  SELECT 1 FROM partner_preferences pp WHERE pp.user_id = p.id
+);
+
+INSERT INTO user_settings (user_id)
+SELECT p.id
+FROM profiles p
+ON CONFLICT (user_id) DO NOTHING;
@@ -0,0 +1,26 @@
+/*
+  # Wallet Backup Restore Keys
+
+  ## Overview
+  Custom wallet backups could only be read with a signed-in session, so a user whose only
+  login is that wallet could not restore it on a new device. Backups now carry the hash
+  of a restore key, which the browser derives from the wallet password and the wallet
+  address. The backend hands a backup to a device that is not signed in only when it
+  presents that key, i.e. when the caller knows the wallet password.
+
+  ## 1. Modified Tables
+
+  ### `custom_wallets`
+  - `restore_key_hash` (text) - `0x`-prefixed SHA-256 of the restore key. Null for backups
+    made before, which can still be restored while signed in
+
+  ## 2. Security
+  - The restore key itself never reaches the database, and the backend compares hashes
+  - Backups without a restore key hash are never handed out before sign-in
+*/
+
+ALTER TABLE custom_wallets ADD COLUMN IF NOT EXISTS restore_key_hash text;
+
+ALTER TABLE custom_wallets DROP CONSTRAINT IF EXISTS custom_wallets_restore_key_hash_check;
+ALTER TABLE custom_wallets ADD CONSTRAINT custom_wallets_restore_key_hash_check
+  CHECK (restore_key_hash IS NULL OR restore_key_hash ~ '^0x[0-9a-f]{64}$');